@@ -0,0 +1,579 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface for ExcelComparator
+ *
+ * Usage:
+ *   excel-compare <old.xlsx> <new.xlsx> [options]
+ *   excel-compare <v1.xlsx> <v2.xlsx> <v3.xlsx>... [options]
+ *
+ * Exit codes:
+ *   0 - no differences found
+ *   1 - differences found
+ *   2 - invalid usage or comparison error, including sheet-level errors
+ *       listed in the reports
+ */
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const ExcelComparator = require("./excel-comparator");
+
+const EXIT_OK = 0;
+const EXIT_DIFFERENCES = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: excel-compare <old-file> <new-file> [options]
+       excel-compare <file1> <file2> <file3>... [options]
+
+With three or more files, each version is compared with the next and the
+report is a change history of every key across the versions.
+
+Options:
+  -c, --config <file>         Load options from a JSON or YAML config file
+  -s, --sheet <name>          Sheet to compare (repeatable, default: all sheets)
+  -k, --key <[sheet=]cols>    Comma-separated key columns, for one sheet or
+                              all (repeatable)
+      --secondary-key <[sheet=]cols>
+                              Columns that pair up rows sharing a key,
+                              before falling back to row order (repeatable)
+      --header-row <[sheet=]n[:count]|auto>
+                              Zero-based header row index and number of
+                              header rows, or "auto" to detect it, for one
+                              sheet or all (repeatable)
+      --ignore <[sheet=]cols> Comma-separated columns to leave out of the
+                              comparison, for one sheet or all (repeatable)
+      --only <[sheet=]cols>   Compare only these columns, for one sheet or
+                              all (repeatable)
+      --mode <[sheet=]records|grid>
+                              Read a sheet as records under a header row
+                              (default) or compare it cell by cell by
+                              address, for forms and statements; without
+                              a sheet it applies to every sheet (repeatable)
+      --align-grid            Line up inserted and deleted rows and columns
+                              of grid sheets before comparing their cells
+      --delimiter <char>      Field delimiter for CSV/TSV inputs ("\\t" for tab)
+      --quote <char>          Quote character for CSV/TSV inputs (default: ")
+      --encoding <name>       Text encoding for CSV/TSV inputs (default: utf-8)
+      --csv-sheet <name>      Sheet name given to CSV/TSV inputs
+      --typed                 Compare numbers, booleans, dates and errors as
+                              values instead of as formatted text
+      --number-format-changes Report cells whose number format changed
+                              without a value change (implies --typed)
+      --compare-formulas      Also report changed formulas, and formulas
+                              replaced by constants or the reverse
+      --compare-formatting    Also report style, comment, merged cell, data
+                              validation and conditional formatting changes
+                              between .xlsx files, cell by cell
+      --streaming             Stream .xlsx inputs instead of loading them
+                              whole, for very large workbooks
+      --memory-threshold <MB> Heap size above which streamed rows spill to
+                              disk (default: 1024)
+      --spill-dir <dir>       Directory for spilled rows (default: system
+                              temp directory)
+  -o, --out <file>            Excel report path; written by default when
+                              no --json, --html or --annotated is given
+      --json <file>           Write a machine-readable JSON diff
+      --html <file>           Write a self-contained HTML report
+      --annotated <file>      Write a copy of the new file with changes
+                              highlighted in place
+      --modified-layout <details|columns|rows>
+                              Also add a per-sheet Modified tab with old and
+                              new values side by side ("columns") or one row
+                              per version ("rows"); default: details
+      --label-old <label>     Label for the old file (default: "Old Version")
+      --label-new <label>     Label for the new file (default: "New Version")
+      --map-sheet <old=new>   Compare sheet "old" against sheet "new"; "old"
+                              may be a glob (Q* = Q* Revised) or a
+                              /regex/ whose groups "new" refers to as $1
+                              (repeatable)
+      --match-renamed-tabs    Pair tabs that only exist in one file by
+                              content similarity
+      --renamed-tab-threshold <0-1>
+                              Minimum similarity for a renamed tab
+                              (default: 0.7)
+      --tolerance <n>         Absolute numeric tolerance for every column
+                              (finer rules go in the config file)
+      --case-sensitive        Treat values that differ only in case as changed
+      --collapse-whitespace   Treat runs of whitespace as a single space
+      --fuzzy-match           Pair edited rows of sheets without a unique
+                              key by similarity (column weights go in the
+                              config file)
+      --fuzzy-threshold <0-1> Minimum similarity for fuzzy matched rows
+                              (default: 0.8)
+      --exclude-schema-changes
+                              Only compare columns present in both files
+                              when counting modified records
+      --strict                Stop at the first missing sheet, missing key
+                              column or unreadable sheet instead of
+                              listing it in the reports
+      --log-level <level>     debug, info, warn, error or silent
+                              (default: info)
+  -q, --quiet                 Only log errors
+  -h, --help                  Show this help
+
+Command-line options override values from the config file. With --map-sheet
+a single file may be given to compare two of its own sheets.
+Exits with 0 when no differences are found, 1 when differences are found
+and 2 on errors.`;
+
+// Maps each flag onto its option name, whether it may be repeated and the
+// values it accepts
+const OPTIONS = {
+  "--config": { name: "config" },
+  "-c": { name: "config" },
+  "--sheet": { name: "sheets", repeatable: true },
+  "-s": { name: "sheets", repeatable: true },
+  "--key": { name: "keys", repeatable: true },
+  "-k": { name: "keys", repeatable: true },
+  "--secondary-key": { name: "secondaryKeys", repeatable: true },
+  "--header-row": { name: "headerRows", repeatable: true },
+  "--ignore": { name: "ignoreColumns", repeatable: true },
+  "--only": { name: "onlyColumns", repeatable: true },
+  "--mode": { name: "sheetModes", repeatable: true },
+  "--align-grid": { name: "alignGrid", flag: true },
+  "--delimiter": { name: "delimiter" },
+  "--quote": { name: "quote" },
+  "--encoding": { name: "encoding" },
+  "--csv-sheet": { name: "csvSheet" },
+  "--typed": { name: "typedValues", flag: true },
+  "--number-format-changes": { name: "numberFormatChanges", flag: true },
+  "--compare-formulas": { name: "compareFormulas", flag: true },
+  "--compare-formatting": { name: "compareFormatting", flag: true },
+  "--streaming": { name: "streaming", flag: true },
+  "--memory-threshold": { name: "memoryThreshold" },
+  "--spill-dir": { name: "spillDirectory" },
+  "--out": { name: "out" },
+  "-o": { name: "out" },
+  "--json": { name: "json" },
+  "--html": { name: "html" },
+  "--annotated": { name: "annotated" },
+  "--modified-layout": {
+    name: "modifiedLayout",
+    choices: ["details", "columns", "rows"],
+  },
+  "--label-old": { name: "labelOld" },
+  "--label-new": { name: "labelNew" },
+  "--map-sheet": { name: "sheetMappings", repeatable: true },
+  "--match-renamed-tabs": { name: "matchRenamedTabs", flag: true },
+  "--renamed-tab-threshold": { name: "renamedTabThreshold" },
+  "--tolerance": { name: "tolerance" },
+  "--case-sensitive": { name: "caseSensitive", flag: true },
+  "--collapse-whitespace": { name: "collapseWhitespace", flag: true },
+  "--fuzzy-match": { name: "fuzzyMatching", flag: true },
+  "--fuzzy-threshold": { name: "fuzzyThreshold" },
+  "--exclude-schema-changes": { name: "excludeSchemaChanges", flag: true },
+  "--strict": { name: "strict", flag: true },
+  "--log-level": { name: "logLevel" },
+  "--quiet": { name: "quiet", flag: true },
+  "-q": { name: "quiet", flag: true },
+  "--help": { name: "help", flag: true },
+  "-h": { name: "help", flag: true },
+};
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const args = {
+    positionals: [],
+    sheets: [],
+    keys: [],
+    secondaryKeys: [],
+    headerRows: [],
+    sheetModes: [],
+    ignoreColumns: [],
+    onlyColumns: [],
+    sheetMappings: [],
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith("-") || arg === "-") {
+      args.positionals.push(arg);
+      continue;
+    }
+
+    // Support both "--out report.xlsx" and "--out=report.xlsx"
+    const eqIndex = arg.indexOf("=");
+    const flag = eqIndex > -1 ? arg.slice(0, eqIndex) : arg;
+    const spec = OPTIONS[flag];
+
+    if (!spec) {
+      throw new UsageError(`Unknown option: ${flag}`);
+    }
+
+    if (spec.flag) {
+      args[spec.name] = true;
+      continue;
+    }
+
+    let value;
+    if (eqIndex > -1) {
+      value = arg.slice(eqIndex + 1);
+    } else {
+      value = argv[++i];
+      if (value === undefined) {
+        throw new UsageError(`Missing value for ${flag}`);
+      }
+    }
+
+    if (spec.choices && !spec.choices.includes(value)) {
+      throw new UsageError(
+        `${flag} must be ${spec.choices.slice(0, -1).join(", ")} or ${
+          spec.choices[spec.choices.length - 1]
+        }, got: ${value}`
+      );
+    }
+
+    if (spec.repeatable) {
+      args[spec.name].push(value);
+    } else {
+      args[spec.name] = value;
+    }
+  }
+
+  return args;
+}
+
+function loadConfigFile(configPath) {
+  if (!fs.existsSync(configPath)) {
+    throw new UsageError(`Config file not found: ${configPath}`);
+  }
+
+  const content = fs.readFileSync(configPath, "utf8");
+  const ext = path.extname(configPath).toLowerCase();
+  const config =
+    ext === ".yaml" || ext === ".yml"
+      ? yaml.load(content)
+      : JSON.parse(content);
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new UsageError(`Config file must contain an object: ${configPath}`);
+  }
+
+  // File paths in a config file are relative to the config file itself
+  const baseDir = path.dirname(path.resolve(configPath));
+  [
+    "file1Path",
+    "file2Path",
+    "outputPath",
+    "jsonOutputPath",
+    "htmlOutputPath",
+    "annotatedOutputPath",
+    "spillDirectory",
+  ].forEach((key) => {
+    if (config[key]) {
+      config[key] = path.resolve(baseDir, config[key]);
+    }
+  });
+  if (Array.isArray(config.files)) {
+    config.files = config.files.map((file) =>
+      typeof file === "string"
+        ? path.resolve(baseDir, file)
+        : { ...file, path: path.resolve(baseDir, file.path) }
+    );
+  }
+
+  return config;
+}
+
+// Splits "Sheet Name=value" into [sheet, value]; unscoped values apply to
+// every sheet passed with --sheet, or to all sheets ("*") without one
+function parseScoped(value, sheets) {
+  const eqIndex = value.lastIndexOf("=");
+  if (eqIndex > -1) {
+    return [[value.slice(0, eqIndex)], value.slice(eqIndex + 1)];
+  }
+  return [sheets.length > 0 ? sheets : ["*"], value];
+}
+
+// Splits "Old=New" or "/regex/flags=New" into a sheet mapping
+function parseSheetMapping(value) {
+  const match =
+    /^(\/.*\/[a-z]*)=(.*)$/.exec(value) || /^([^=]*)=(.*)$/.exec(value);
+  if (!match || match[1] === "" || match[2] === "") {
+    throw new UsageError(
+      `--map-sheet expects "old=new", e.g. --map-sheet "Q1=Q1 Revised"`
+    );
+  }
+  return { old: match[1], new: match[2] };
+}
+
+function parseColumnList(cols) {
+  return cols
+    .split(",")
+    .map((col) => col.trim())
+    .filter((col) => col !== "");
+}
+
+function parseRatio(value, flag) {
+  const ratio = Number(value);
+  if (value === "" || isNaN(ratio) || ratio < 0 || ratio > 1) {
+    throw new UsageError(`${flag} must be a number between 0 and 1`);
+  }
+  return ratio;
+}
+
+// Merges values into the "*" sheet / "*" column entry of a per-column option
+function setDefaultColumnSetting(config, option, values) {
+  const settings = { ...config[option] };
+  const allSheets = { ...settings["*"] };
+  allSheets["*"] = { ...allSheets["*"], ...values };
+  settings["*"] = allSheets;
+  config[option] = settings;
+}
+
+function buildConfig(args) {
+  const config = args.config ? loadConfigFile(args.config) : {};
+
+  // Three or more files compare each version with the next
+  if (args.positionals.length > 2) {
+    config.files = args.positionals;
+  } else {
+    if (args.positionals[0]) config.file1Path = args.positionals[0];
+    if (args.positionals[1]) config.file2Path = args.positionals[1];
+  }
+  const versions = Array.isArray(config.files) && config.files.length > 0;
+  if (args.sheetMappings.length > 0) {
+    config.sheetMappings = [
+      ...(config.sheetMappings || []),
+      ...args.sheetMappings.map(parseSheetMapping),
+    ];
+  }
+  // Mapping sheets of one workbook onto each other needs only one file
+  if (config.sheetMappings && !config.file2Path) {
+    config.file2Path = config.file1Path;
+  }
+
+  if (!versions && (!config.file1Path || !config.file2Path)) {
+    throw new UsageError("Both an old and a new file are required");
+  }
+
+  if (args.sheets.length > 0) config.sheets = args.sheets;
+
+  // Input options apply to both files; per-file options go in the config
+  const inputOptions = {};
+  if (args.delimiter !== undefined) {
+    inputOptions.delimiter =
+      args.delimiter === "\\t" || args.delimiter === "tab"
+        ? "\t"
+        : args.delimiter;
+  }
+  if (args.quote !== undefined) inputOptions.quote = args.quote;
+  if (args.encoding !== undefined) inputOptions.encoding = args.encoding;
+  if (args.csvSheet !== undefined) inputOptions.sheetName = args.csvSheet;
+  if (Object.keys(inputOptions).length > 0) {
+    config.file1Options = { ...config.file1Options, ...inputOptions };
+    config.file2Options = { ...config.file2Options, ...inputOptions };
+  }
+  if (args.strict) config.strict = true;
+  if (args.logLevel) config.logLevel = args.logLevel;
+  if (args.quiet) config.quiet = true;
+  if (args.typedValues) config.typedValues = true;
+  if (args.numberFormatChanges) config.numberFormatChanges = true;
+  if (args.compareFormulas) config.compareFormulas = true;
+  if (args.compareFormatting) config.compareFormatting = true;
+  if (args.streaming) config.streaming = true;
+  if (args.memoryThreshold !== undefined) {
+    const threshold = Number(args.memoryThreshold);
+    if (args.memoryThreshold === "" || isNaN(threshold) || threshold <= 0) {
+      throw new UsageError("--memory-threshold must be a positive number");
+    }
+    config.memoryThreshold = threshold;
+  }
+  if (args.spillDirectory) config.spillDirectory = args.spillDirectory;
+  if (args.labelOld) config.file1Label = args.labelOld;
+  if (args.labelNew) config.file2Label = args.labelNew;
+  if (args.out) config.outputPath = args.out;
+  if (args.json) config.jsonOutputPath = args.json;
+  if (args.html) config.htmlOutputPath = args.html;
+  if (args.annotated) config.annotatedOutputPath = args.annotated;
+  if (versions && (config.htmlOutputPath || config.annotatedOutputPath)) {
+    throw new UsageError(
+      "--html and --annotated compare two files; a version history writes only the Excel and JSON reports"
+    );
+  }
+  if (args.modifiedLayout) config.modifiedLayout = args.modifiedLayout;
+  if (args.matchRenamedTabs) config.matchRenamedTabs = true;
+  if (args.excludeSchemaChanges) config.excludeSchemaChanges = true;
+  if (args.fuzzyMatching) config.fuzzyMatching = true;
+  if (args.fuzzyThreshold !== undefined) {
+    config.fuzzyMatching = true;
+    config.fuzzyThreshold = parseRatio(
+      args.fuzzyThreshold,
+      "--fuzzy-threshold"
+    );
+  }
+  if (args.tolerance !== undefined) {
+    const tolerance = Number(args.tolerance);
+    if (args.tolerance === "" || isNaN(tolerance) || tolerance < 0) {
+      throw new UsageError("--tolerance must be a non-negative number");
+    }
+    setDefaultColumnSetting(config, "comparisonRules", {
+      absoluteTolerance: tolerance,
+    });
+  }
+  if (args.caseSensitive) {
+    setDefaultColumnSetting(config, "normalization", { caseSensitive: true });
+  }
+  if (args.collapseWhitespace) {
+    setDefaultColumnSetting(config, "normalization", {
+      collapseWhitespace: true,
+    });
+  }
+  if (args.renamedTabThreshold !== undefined) {
+    config.renamedTabThreshold = parseRatio(
+      args.renamedTabThreshold,
+      "--renamed-tab-threshold"
+    );
+  }
+
+  const sheets = config.sheets || [];
+
+  [
+    ["keys", "keyColumns"],
+    ["secondaryKeys", "secondaryKeyColumns"],
+  ].forEach(([arg, option]) => {
+    if (args[arg].length === 0) return;
+    config[option] = { ...config[option] };
+    args[arg].forEach((value) => {
+      const [targets, cols] = parseScoped(value, sheets);
+      const keyCols = parseColumnList(cols);
+      targets.forEach((sheetName) => {
+        config[option][sheetName] = keyCols;
+      });
+    });
+  });
+
+  // Unscoped column lists apply to every sheet
+  ["ignoreColumns", "onlyColumns"].forEach((option) => {
+    if (args[option].length === 0) return;
+    config[option] = { ...config[option] };
+    args[option].forEach((value) => {
+      const eqIndex = value.lastIndexOf("=");
+      const sheetName = eqIndex > -1 ? value.slice(0, eqIndex) : "*";
+      config[option][sheetName] = [
+        ...(config[option][sheetName] || []),
+        ...parseColumnList(value.slice(eqIndex + 1)),
+      ];
+    });
+  });
+
+  // An unscoped mode applies to every sheet
+  if (args.sheetModes.length > 0) {
+    config.sheetModes = { ...config.sheetModes };
+    args.sheetModes.forEach((value) => {
+      const eqIndex = value.lastIndexOf("=");
+      const sheetName = eqIndex > -1 ? value.slice(0, eqIndex) : "*";
+      const mode = value.slice(eqIndex + 1);
+      if (mode !== "records" && mode !== "grid") {
+        throw new UsageError(`--mode must be records or grid, got: ${mode}`);
+      }
+      config.sheetModes[sheetName] = mode;
+    });
+  }
+  if (args.alignGrid) config.alignGrid = true;
+
+  if (args.headerRows.length > 0) {
+    config.headerRows = { ...config.headerRows };
+    args.headerRows.forEach((value) => {
+      const [targets, row] = parseScoped(value, sheets);
+      let headerOptions = "auto";
+      if (row !== "auto") {
+        const [rowIndex, rowCount = 1] = row.split(":").map(Number);
+        if (
+          !Number.isInteger(rowIndex) ||
+          rowIndex < 0 ||
+          !Number.isInteger(rowCount) ||
+          rowCount < 1
+        ) {
+          throw new UsageError(`Invalid header row: ${row}`);
+        }
+        headerOptions =
+          rowCount === 1
+            ? rowIndex
+            : { headerRow: rowIndex, headerRowCount: rowCount };
+      }
+      targets.forEach((sheetName) => {
+        config.headerRows[sheetName] = headerOptions;
+      });
+    });
+  }
+
+  return config;
+}
+
+async function run(argv) {
+  const args = parseArgs(argv);
+
+  if (args.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+
+  const config = buildConfig(args);
+  const comparator = new ExcelComparator(config);
+
+  // Ctrl+C stops the comparison cleanly, removing any spilled rows
+  const controller = new AbortController();
+  const interrupt = () => controller.abort(new Error("Comparison interrupted"));
+  process.once("SIGINT", interrupt);
+  const versions = Array.isArray(config.files) && config.files.length > 0;
+  try {
+    if (versions) {
+      await comparator.compareVersions({ signal: controller.signal });
+    } else {
+      await comparator.compareSheets({ signal: controller.signal });
+    }
+  } finally {
+    process.removeListener("SIGINT", interrupt);
+  }
+  // The Excel report is the default output, left out when only other
+  // outputs were asked for
+  const excelReport =
+    Boolean(config.outputPath) ||
+    !(
+      config.jsonOutputPath ||
+      config.htmlOutputPath ||
+      config.annotatedOutputPath
+    );
+  if (versions) {
+    if (excelReport) {
+      await comparator.generateHistoryReport(config.outputPath);
+    }
+    if (config.jsonOutputPath) {
+      await comparator.generateHistoryJsonReport(config.jsonOutputPath);
+    }
+  } else {
+    if (excelReport) await comparator.generateReport(config.outputPath);
+    if (config.jsonOutputPath) {
+      await comparator.generateJsonReport(config.jsonOutputPath);
+    }
+    if (config.htmlOutputPath) {
+      await comparator.generateHtmlReport(config.htmlOutputPath);
+    }
+    if (config.annotatedOutputPath) {
+      await comparator.generateAnnotatedWorkbook(config.annotatedOutputPath);
+    }
+  }
+
+  if (comparator.errors.length > 0) return EXIT_ERROR;
+  return comparator.hasDifferences() ? EXIT_DIFFERENCES : EXIT_OK;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then((code) => {
+      process.exitCode = code;
+    })
+    .catch((error) => {
+      console.error(`Error: ${error.message}`);
+      if (error instanceof UsageError) {
+        console.error(`\n${USAGE}`);
+      }
+      process.exitCode = EXIT_ERROR;
+    });
+}
+
+module.exports = { run, parseArgs, buildConfig };
@@ -0,0 +1,38 @@
+/**
+ * Error types raised by ExcelComparator
+ *
+ * Outside strict mode, errors are collected in comparator.errors and
+ * problems the comparison recovered from, such as missing key columns
+ * replaced by a detected key, in comparator.warnings. Both are listed in
+ * the reports instead of being thrown; only errors affect the exit code.
+ */
+
+class ComparisonError extends Error {
+  // details may hold filePath, sheetName, columns and the underlying cause
+  constructor(message, details = {}) {
+    const { cause, ...rest } = details;
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    Object.assign(this, rest);
+  }
+}
+
+// An input file does not exist
+class FileNotFoundError extends ComparisonError {}
+
+// A requested sheet is missing from one of the files
+class SheetNotFoundError extends ComparisonError {}
+
+// A file or sheet could not be read
+class ParseError extends ComparisonError {}
+
+// Configured key columns are missing from a sheet
+class KeyNotFoundError extends ComparisonError {}
+
+module.exports = {
+  ComparisonError,
+  FileNotFoundError,
+  SheetNotFoundError,
+  ParseError,
+  KeyNotFoundError,
+};
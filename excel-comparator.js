@@ -1,483 +1,5216 @@
 /**
  * Excel File Comparison Tool - JavaScript/Node.js Version
  * Compares multiple sheets from two Excel files with automatic key detection
+ * Reads XLSX, XLS, XLSB and ODS workbooks as well as CSV/TSV files, which
+ * are treated as a workbook with a single sheet
  *
  * Required packages:
- * npm install xlsx exceljs lodash
+ * npm install xlsx exceljs lodash js-yaml
+ *
+ * Given an ordered list of files, compareVersions() compares each version
+ * with the next and builds the change history of every record
+ *
+ * Very large .xlsx files can be compared with the streaming option, which
+ * reads each workbook in two passes with ExcelJS's streaming reader: a light
+ * scan of the sheet XML for merged ranges, then the rows themselves, which
+ * spill to disk once the heap grows past memoryThreshold
+ *
+ * Command-line usage:
+ * excel-compare old.xlsx new.xlsx --sheet "Sample Orders" --out report.xlsx
  */
 
 const XLSX = require("xlsx");
 const ExcelJS = require("exceljs");
 const _ = require("lodash");
+const EventEmitter = require("events");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
+const { renderHtmlReport } = require("./html-report");
+const {
+  ComparisonError,
+  FileNotFoundError,
+  SheetNotFoundError,
+  ParseError,
+  KeyNotFoundError,
+} = require("./errors");
 
-class ExcelComparator {
-  constructor(config) {
-    this.file1Path = config.file1Path;
-    this.file2Path = config.file2Path;
-    this.sheets = config.sheets || null;
-    this.headerRows = config.headerRows || {};
-    this.keyColumns = config.keyColumns || {};
-    this.file1Label = config.file1Label || "Old Version";
-    this.file2Label = config.file2Label || "New Version";
-    this.results = [];
+// Column names that usually hold identifiers, such as id, order_no, orderid
+const KEY_NAME_HINT =
+  /(^|_)(id|key|code|no|nr|num|number|ref|sku|uuid|guid)(_|$)|[a-z](id|code|key|number)$/;
+const KEY_MIN_UNIQUENESS = 0.95;
+const KEY_COMPOSITE_COLUMNS = 6;
+const KEY_RUNNERS_UP = 3;
+// Fuzzy matching scores every pair up to this many, and otherwise only
+// pairs found through blocking keys held by at most FUZZY_BUCKET_LIMIT rows
+const FUZZY_FULL_SCAN_PAIRS = 250000;
+const FUZZY_BUCKET_LIMIT = 50;
+// Grid alignment works on stretches of up to this many row (or column)
+// pairs, and pairs an inserted row with a changed one only when at least
+// GRID_MIN_SIMILARITY of their cells agree
+const GRID_ALIGN_CELLS = 4000000;
+const GRID_MIN_SIMILARITY = 0.5;
+// Sheets are normalized, matched and diffed this many rows at a time, with
+// a progress event, an abort check and a turn of the event loop in between
+const CHUNK_ROWS = 10000;
 
-    // Validate files exist
-    if (!fs.existsSync(this.file1Path)) {
-      throw new Error(`File not found: ${this.file1Path}`);
+function jaccard(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  const intersection = [...setA].filter((v) => setB.has(v)).length;
+  const union = new Set([...setA, ...setB]).size;
+  return union === 0 ? 0 : intersection / union;
+}
+
+// Aligns two sequences given the comparison key of each item: items with
+// equal keys are matched in order (their longest common subsequence), and
+// the items left between two matches are paired up by position when both
+// sides have as many, otherwise by similarity(i, j). Returns [i, j] pairs
+// in order, with null for an item only in one sequence
+function alignSequences(keys1, keys2, similarity) {
+  const n = keys1.length;
+  const m = keys2.length;
+  let prefix = 0;
+  while (prefix < n && prefix < m && keys1[prefix] === keys2[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < n - prefix &&
+    suffix < m - prefix &&
+    keys1[n - 1 - suffix] === keys2[m - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  // Longest common subsequence of the middle stretch
+  const rows = n - prefix - suffix;
+  const cols = m - prefix - suffix;
+  const matches = [];
+  if (rows > 0 && cols > 0 && (rows + 1) * (cols + 1) <= GRID_ALIGN_CELLS) {
+    const width = cols + 1;
+    const lengths = new Uint32Array((rows + 1) * width);
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lengths[i * width + j] =
+          keys1[prefix + i] === keys2[prefix + j]
+            ? lengths[(i + 1) * width + j + 1] + 1
+            : Math.max(
+                lengths[(i + 1) * width + j],
+                lengths[i * width + j + 1]
+              );
+      }
     }
-    if (!fs.existsSync(this.file2Path)) {
-      throw new Error(`File not found: ${this.file2Path}`);
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+      if (keys1[prefix + i] === keys2[prefix + j]) {
+        matches.push([prefix + i++, prefix + j++]);
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        i++;
+      } else {
+        j++;
+      }
     }
   }
 
-  log(message) {
-    const timestamp = new Date().toISOString();
-    console.log(`${timestamp} - ${message}`);
+  const pairs = [];
+  for (let i = 0; i < prefix; i++) pairs.push([i, i]);
+  let last1 = prefix;
+  let last2 = prefix;
+  [...matches, [n - suffix, m - suffix]].forEach(([end1, end2]) => {
+    pairs.push(...pairGap(last1, end1, last2, end2, similarity));
+    if (end1 < n - suffix) pairs.push([end1, end2]);
+    last1 = end1 + 1;
+    last2 = end2 + 1;
+  });
+  for (let k = suffix; k > 0; k--) pairs.push([n - k, m - k]);
+  return pairs;
+}
+
+// Pairs the unmatched items start1..end1 and start2..end2 (exclusive)
+// between two matches of alignSequences()
+function pairGap(start1, end1, start2, end2, similarity) {
+  const count1 = end1 - start1;
+  const count2 = end2 - start2;
+  const pairs = [];
+
+  // As many on both sides (or too many to score): changed in place
+  if (
+    count1 === count2 ||
+    count1 === 0 ||
+    count2 === 0 ||
+    (count1 + 1) * (count2 + 1) > GRID_ALIGN_CELLS
+  ) {
+    for (let k = 0; k < Math.max(count1, count2); k++) {
+      pairs.push([
+        k < count1 ? start1 + k : null,
+        k < count2 ? start2 + k : null,
+      ]);
+    }
+    return pairs;
   }
 
-  normalizeColumnName(name) {
-    return String(name).trim().toLowerCase().replace(/\s+/g, "_");
+  // Otherwise keep the order and maximize the total similarity of the
+  // pairs, leaving items without a similar partner unpaired
+  const width = count2 + 1;
+  const best = new Float64Array((count1 + 1) * width);
+  const scores = new Float64Array(count1 * count2);
+  for (let i = count1 - 1; i >= 0; i--) {
+    for (let j = count2 - 1; j >= 0; j--) {
+      const score = similarity(start1 + i, start2 + j);
+      scores[i * count2 + j] = score;
+      best[i * width + j] = Math.max(
+        best[(i + 1) * width + j],
+        best[i * width + j + 1],
+        score >= GRID_MIN_SIMILARITY ? score + best[(i + 1) * width + j + 1] : 0
+      );
+    }
+  }
+  let i = 0;
+  let j = 0;
+  while (i < count1 && j < count2) {
+    const score = scores[i * count2 + j];
+    if (
+      score >= GRID_MIN_SIMILARITY &&
+      best[i * width + j] === score + best[(i + 1) * width + j + 1]
+    ) {
+      pairs.push([start1 + i++, start2 + j++]);
+    } else if (best[i * width + j] === best[(i + 1) * width + j]) {
+      pairs.push([start1 + i++, null]);
+    } else {
+      pairs.push([null, start2 + j++]);
+    }
   }
+  while (i < count1) pairs.push([start1 + i++, null]);
+  while (j < count2) pairs.push([null, start2 + j++]);
+  return pairs;
+}
 
-  normalize(value) {
-    if (value === null || value === undefined) return "";
-    if (value instanceof Date) return value.toISOString().split("T")[0];
-    let v = String(value).trim();
-    // Convert numbers to consistent string format
-    if (!isNaN(v) && v !== "") {
-      v = Number(v).toString();
+// Normalized Levenshtein similarity between two strings (1 = identical)
+function stringSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length === 0 || b.length === 0) return 0;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
     }
-    return v.toLowerCase();
+    prev = curr;
   }
 
-  normalizeData(data) {
-    return data.map((row) => {
-      const normalized = {};
-      Object.keys(row).forEach((key) => {
-        const normalizedKey = this.normalizeColumnName(key);
-        normalized[normalizedKey] = this.normalize(row[key]);
-      });
-      return normalized;
-    });
+  return 1 - prev[b.length] / Math.max(a.length, b.length);
+}
+
+// Header similarity that also recognizes abbreviations such as qty/quantity
+function headerSimilarity(a, b) {
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  let pos = 0;
+  for (const char of longer) {
+    if (char === shorter[pos]) pos++;
   }
+  const isAbbreviation =
+    shorter.length > 1 && pos === shorter.length && shorter[0] === longer[0];
 
-  readSheet(filePath, sheetName) {
-    try {
-      const workbook = XLSX.readFile(filePath);
+  return Math.max(stringSimilarity(a, b), isAbbreviation ? 0.75 : 0);
+}
 
-      if (!workbook.SheetNames.includes(sheetName)) {
-        this.log(`Sheet '${sheetName}' not found in ${filePath}`);
-        return [];
-      }
+// Longest common subsequence of two arrays of unique values
+function longestCommonSubsequence(a, b) {
+  const table = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] =
+        a[i] === b[j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
 
-      const worksheet = workbook.Sheets[sheetName];
-      const data = XLSX.utils.sheet_to_json(worksheet, {
-        defval: "",
-        raw: false,
-      });
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push(a[i]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return result;
+}
 
-      // Remove unnamed columns
-      const cleanedData = data
-        .map((row) => {
-          const cleaned = {};
-          Object.keys(row).forEach((key) => {
-            if (!key.toLowerCase().includes("unnamed")) {
-              cleaned[key] = row[key];
-            }
-          });
-          return cleaned;
-        })
-        .filter((row) => Object.keys(row).length > 0);
+const DATE_GRANULARITY_MS = {
+  day: 24 * 60 * 60 * 1000,
+  hour: 60 * 60 * 1000,
+  minute: 60 * 1000,
+  second: 1000,
+};
 
-      const normalized = this.normalizeData(cleanedData);
+const ISO_DATE =
+  /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[t ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?\s*(z|[+-]\d{2}:?\d{2})?$/i;
+const US_DATE =
+  /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?)?$/i;
 
-      this.log(
-        `Read sheet '${sheetName}' from ${path.basename(filePath)}: ${
-          normalized.length
-        } rows, ${
-          normalized.length > 0 ? Object.keys(normalized[0]).length : 0
-        } columns`
-      );
-      return normalized;
-    } catch (error) {
-      this.log(`Error reading sheet '${sheetName}': ${error.message}`);
-      return [];
-    }
+// Offset from UTC in minutes for "UTC", "local" or a fixed "+05:30" offset
+function timezoneOffsetMinutes(timezone, utcMillis) {
+  if (!timezone || /^(utc|z)$/i.test(timezone)) return 0;
+  if (timezone === "local") return -new Date(utcMillis).getTimezoneOffset();
+
+  const match = /^([+-])(\d{2}):?(\d{2})$/.exec(timezone);
+  if (!match) {
+    throw new Error(
+      `Unsupported timezone '${timezone}', use "UTC", "local" or an offset like "+05:30"`
+    );
+  }
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === "-" ? -minutes : minutes;
+}
+
+function parseNumber(value) {
+  let v = String(value).trim().replace(/,/g, "");
+  const isPercent = v.endsWith("%");
+  if (isPercent) v = v.slice(0, -1);
+  if (v === "" || isNaN(v)) return null;
+  return isPercent ? Number(v) / 100 : Number(v);
+}
+
+// Parses ISO and m/d/yy date strings into epoch milliseconds; values without
+// an explicit offset are read as wall-clock time in the given timezone
+function parseDateValue(value, timezone) {
+  const v = String(value).trim();
+  let parts;
+  let zone = null;
+
+  const iso = ISO_DATE.exec(v);
+  const us = iso ? null : US_DATE.exec(v);
+  if (iso) {
+    const [, y, mo, d, h = 0, mi = 0, sec = 0, ms = "0"] = iso;
+    parts = [y, mo, d, h, mi, sec, ms.padEnd(3, "0")].map(Number);
+    zone = iso[8] || null;
+  } else if (us) {
+    const [, mo, d, y, h = 0, mi = 0, sec = 0, meridiem] = us;
+    let year = Number(y);
+    // Excel reads two-digit years 00-29 as 20xx and 30-99 as 19xx
+    if (y.length === 2) year += year < 30 ? 2000 : 1900;
+    let hour = Number(h) % (meridiem ? 12 : 24);
+    if (meridiem && meridiem.toLowerCase() === "pm") hour += 12;
+    parts = [year, Number(mo), Number(d), hour, Number(mi), Number(sec), 0];
+  } else {
+    return null;
   }
 
-  detectKeyColumn(data, sheetName) {
-    if (data.length === 0) return null;
+  const [year, month, day, hour, minute, second, millis] = parts;
+  const wallClock = Date.UTC(
+    year,
+    month - 1,
+    day,
+    hour,
+    minute,
+    second,
+    millis
+  );
+  const offset = timezoneOffsetMinutes(zone || timezone, wallClock);
+  return wallClock - offset * 60 * 1000;
+}
 
-    // Check user-specified keys
-    if (this.keyColumns[sheetName]) {
-      this.log(
-        `Using user-specified key columns for '${sheetName}': ${this.keyColumns[
-          sheetName
-        ].join(", ")}`
-      );
-      return this.keyColumns[sheetName];
-    }
+// Input adapters by file extension; anything else is left to SheetJS to sniff
+const INPUT_FORMATS = {
+  ".csv": "csv",
+  ".tsv": "tsv",
+  ".tab": "tsv",
+  ".xlsx": "xlsx",
+  ".xlsm": "xlsx",
+  ".xls": "xls",
+  ".xlsb": "xlsb",
+  ".ods": "ods",
+};
+const DELIMITED_FORMATS = ["csv", "tsv"];
 
-    const columns = Object.keys(data[0]);
+// Splits delimited text into rows of fields, honoring quoted fields that
+// contain delimiters, doubled quotes and line breaks
+function parseDelimited(text, delimiter, quote) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
 
-    // Try single column with high uniqueness
-    for (const col of columns) {
-      const values = data.map((row) => row[col]).filter((v) => v !== "");
-      const uniqueRatio = _.uniq(values).length / values.length;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
 
-      if (uniqueRatio > 0.95) {
-        this.log(`Auto-detected key column for '${sheetName}': ${col}`);
-        return col;
+    if (inQuotes) {
+      if (char === quote && text[i + 1] === quote) {
+        field += quote;
+        i++;
+      } else if (char === quote) {
+        inQuotes = false;
+      } else {
+        field += char;
       }
+    } else if (char === quote && field === "") {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
     }
+  }
 
-    // Try composite key (first 2-3 columns)
-    for (
-      let numCols = 2;
-      numCols <= 3 && numCols <= columns.length;
-      numCols++
-    ) {
-      const testCols = columns.slice(0, numCols);
-      const compositeKeys = data.map((row) =>
-        testCols.map((col) => row[col]).join("||")
+  // Last line without a trailing newline
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Sheet mapping patterns are "/regex/flags" or globs with * and ?; the
+// wildcards become capture groups that the target name can refer to
+function compileSheetPattern(pattern) {
+  const regexMatch = /^\/(.*)\/([a-z]*)$/.exec(pattern);
+  if (regexMatch) {
+    // Stateful flags would make repeated matching skip sheets
+    const flags = regexMatch[2].replace(/[gy]/g, "");
+    return { regex: new RegExp(regexMatch[1], flags), isRegex: true };
+  }
+
+  const source = pattern
+    .split("")
+    .map((char) => {
+      if (char === "*") return "(.*)";
+      if (char === "?") return "(.)";
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return { regex: new RegExp(`^${source}$`), isRegex: false };
+}
+
+// Builds the new sheet name for a matched old name: regex targets use $1
+// style references, glob targets reuse their own * and ? in order
+function expandSheetTarget(name, compiled, target) {
+  if (compiled.isRegex) return name.replace(compiled.regex, target);
+
+  const groups = compiled.regex.exec(name).slice(1);
+  let index = 0;
+  return target.replace(/[*?]/g, (wildcard) =>
+    index < groups.length ? groups[index++] : wildcard
+  );
+}
+
+// Default labels of a series of versions: their file names, or when two
+// share one (w0/report.xlsx, w1/report.xlsx) the parent directory as well,
+// failing that v1..vN
+function versionLabels(filePaths) {
+  const distinct = (labels) => new Set(labels).size === labels.length;
+  const names = filePaths.map((filePath) => path.basename(filePath));
+  if (distinct(names)) return names;
+
+  const withParents = filePaths.map((filePath) =>
+    path.join(
+      path.basename(path.dirname(path.resolve(filePath))),
+      path.basename(filePath)
+    )
+  );
+  if (distinct(withParents)) return withParents;
+  return filePaths.map((_filePath, i) => `v${i + 1}`);
+}
+
+// Worksheet row numbers travel on the row objects under symbol keys, which
+// Object.keys/values/entries skip, so they never show up as columns
+const ROW_NUMBER = Symbol("rowNumber");
+const OLD_ROW_NUMBER = Symbol("oldRowNumber");
+const OLD_ROW = Symbol("oldRow");
+const NEW_ROW = Symbol("newRow");
+// Cell changes of a modified record, as [{ column, oldValue, newValue }]
+const CHANGES = Symbol("changes");
+// Similarity of rows paired by fuzzy matching
+const MATCH_SIMILARITY = Symbol("matchSimilarity");
+// Number format of each cell of a row read with numberFormatChanges
+const NUMBER_FORMATS = Symbol("numberFormats");
+// Formulas of the cells of a row read with compareFormulas, as
+// { text, relative } by column
+const FORMULAS = Symbol("formulas");
+// Per-cell details carried along with the values of a row
+const CELL_DETAILS = [NUMBER_FORMATS, FORMULAS];
+
+// A1 references outside string literals and quoted sheet names
+const CELL_REFERENCE =
+  /(^|[^A-Za-z0-9_.$])(\$?)([A-Z]{1,3})(\$?)(\d+)(?![A-Za-z0-9_(])/g;
+const FORMULA_QUOTED = /("(?:[^"]|"")*"|'(?:[^']|'')*')/;
+
+// Rewrites the A1 references of a formula in the cell at the zero-based
+// row and col as offsets from that cell, so a formula that only moved
+// with its row (=B5*C5 becoming =B6*C6) compares equal
+function relativeFormula(formula, row, col) {
+  return formula
+    .split(FORMULA_QUOTED)
+    .map((part, i) => {
+      if (i % 2 === 1) return part;
+      return part.replace(
+        CELL_REFERENCE,
+        (match, prefix, colAbsolute, letters, rowAbsolute, digits) => {
+          const refCol = XLSX.utils.decode_col(letters);
+          const refRow = Number(digits) - 1;
+          if (refCol > 16383 || refRow > 1048575) return match;
+          const colPart = colAbsolute ? `C${refCol}` : `C[${refCol - col}]`;
+          const rowPart = rowAbsolute ? `R${refRow}` : `R[${refRow - row}]`;
+          return `${prefix}${rowPart}${colPart}`;
+        }
       );
-      const uniqueRatio = _.uniq(compositeKeys).length / compositeKeys.length;
+    })
+    .join("");
+}
 
-      if (uniqueRatio > 0.95) {
-        this.log(
-          `Using composite key for '${sheetName}': ${testCols.join(", ")}`
-        );
-        return testCols;
-      }
-    }
+// Excel error codes, for error cells read without their text
+const CELL_ERRORS = {
+  0x00: "#NULL!",
+  0x07: "#DIV/0!",
+  0x0f: "#VALUE!",
+  0x17: "#REF!",
+  0x1d: "#NAME?",
+  0x24: "#NUM!",
+  0x2a: "#N/A",
+  0x2b: "#GETTING_DATA",
+};
 
-    this.log(
-      `No unique key found for '${sheetName}', using full-row comparison`
-    );
-    return null;
+// An Excel error value such as #DIV/0!, as read in typed mode
+class CellError {
+  constructor(code) {
+    this.code = code;
   }
 
-  createRowHash(row, keyCol) {
-    if (Array.isArray(keyCol)) {
-      // Composite key
-      return keyCol.map((col) => this.normalize(row[col] || "")).join("||");
-    } else if (keyCol === null) {
-      // Full row hash
-      return Object.values(row)
-        .map((v) => this.normalize(v))
-        .join("||");
-    } else {
-      // Single key
-      return this.normalize(row[keyCol] || "");
-    }
+  toString() {
+    return this.code;
   }
 
-  findNewRecords(data1, data2, keyCol) {
-    if (data2.length === 0) return [];
-    if (data1.length === 0) return data2;
+  toJSON() {
+    return this.code;
+  }
+}
+
+// ISO date, with the time of day unless it is midnight
+function formatDate(date) {
+  const iso = date.toISOString();
+  return iso.endsWith("T00:00:00.000Z") ? iso.slice(0, 10) : iso;
+}
+
+// Errors and warnings as the JSON reports list them
+function errorEntry(error) {
+  return {
+    type: error.name,
+    message: error.message,
+    filePath: error.filePath || null,
+    sheetName: error.sheetName || null,
+  };
+}
+
+// Typed cell values as the reports show them
+function displayValue(value) {
+  if (value instanceof Date) return formatDate(value);
+  if (value === null || value === undefined) return "";
+  return String(value);
+}
 
-    const keys1 = new Set(data1.map((row) => this.createRowHash(row, keyCol)));
-    return data2.filter((row) => !keys1.has(this.createRowHash(row, keyCol)));
+// Flattens a nested ExcelJS style into { "font.bold": true,
+// "fill.fgColor.argb": "FFFF0000", ... } so styles compare leaf by leaf
+function flattenStyle(value, prefix = "", flat = {}) {
+  if (value === null || value === undefined) return flat;
+  if (typeof value !== "object") {
+    flat[prefix] = value;
+    return flat;
   }
+  Object.keys(value).forEach((key) =>
+    flattenStyle(value[key], prefix ? `${prefix}.${key}` : key, flat)
+  );
+  return flat;
+}
 
-  findDeletedRecords(data1, data2, keyCol) {
-    if (data1.length === 0) return [];
-    if (data2.length === 0) return data1;
+// Reads an .xlsx file with ExcelJS along with its default font, the font
+// of cells without one of their own. ExcelJS drops the workbook's fonts
+// once the cells are read, so the first one is taken from the parsed model
+async function readStyledWorkbook(filePath) {
+  const workbook = new ExcelJS.Workbook();
+  const { reconcile } = workbook.xlsx;
+  let defaultFont;
+  workbook.xlsx.reconcile = function (model, options) {
+    const styles = model.styles && model.styles.model;
+    defaultFont = styles && styles.fonts ? styles.fonts[0] : undefined;
+    return reconcile.call(this, model, options);
+  };
+  await workbook.xlsx.readFile(filePath);
+  return { workbook, defaultFont };
+}
+
+// Completes 1-based [index1, index2] pairs, null on the side a row or
+// column is missing from, with the indexes up to count that neither side
+// paired, which pair by position. Returns the pairs present in both
+function completePairs(pairs, count) {
+  const taken1 = new Set(pairs.map(([index1]) => index1));
+  const taken2 = new Set(pairs.map(([, index2]) => index2));
+  const complete = pairs.filter(
+    ([index1, index2]) => index1 !== null && index2 !== null
+  );
+  for (let i = 1; i <= count; i++) {
+    if (!taken1.has(i) && !taken2.has(i)) complete.push([i, i]);
+  }
+  return complete;
+}
 
-    const keys2 = new Set(data2.map((row) => this.createRowHash(row, keyCol)));
-    return data1.filter((row) => !keys2.has(this.createRowHash(row, keyCol)));
+// Top-left cell of an address, range or space-separated list of ranges
+function rangeStart(address) {
+  return XLSX.utils.decode_range(address.split(" ")[0]).s;
+}
+
+// Flattens an ExcelJS cell value (rich text, formula, hyperlink, error) to
+// the plain value the cell shows
+function streamCellValue(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value !== "object" || value instanceof Date) return value;
+  if (value.richText) return value.richText.map((part) => part.text).join("");
+  if ("formula" in value || "sharedFormula" in value) {
+    return streamCellValue(value.result);
+  }
+  if ("hyperlink" in value) return streamCellValue(value.text);
+  if (value.error) return value.error;
+  return String(value);
+}
+
+// ExcelJS gives a few built-in number formats other codes than SheetJS,
+// whose table formats the in-memory read
+const EXCELJS_FORMAT_IDS = {
+  "mm-dd-yy": 14,
+  'm/d/yy "h":mm': 22,
+  "#,##0.00 ;(#,##0.00)": 39,
+  "#,##0.00 ;[Red](#,##0.00)": 40,
+};
+
+// The text SheetJS shows for a streamed value in its number format, as
+// sheet_to_json reads it without raw. ExcelJS dates are UTC
+function formatStreamValue(value, numFmt) {
+  if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+  const serial =
+    value instanceof Date
+      ? value.getTime() / DATE_GRANULARITY_MS.day + 25569
+      : value;
+  if (typeof serial !== "number") return value;
+  const format = EXCELJS_FORMAT_IDS[numFmt] || numFmt || "General";
+  try {
+    return XLSX.SSF.format(format, serial);
+  } catch (error) {
+    return String(value);
+  }
+}
+
+// FNV-1a, used to spread keys over the spill partitions
+function hashBucket(key, count) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
   }
+  return (hash >>> 0) % count;
+}
 
-  findModifiedRecords(data1, data2, keyCol) {
-    if (data1.length === 0 || data2.length === 0) {
-      return { records: [], columnChanges: {} };
+// Yields the parsed lines of a JSON-lines file without loading it whole
+function* readJsonLines(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  const buffer = Buffer.alloc(1 << 20);
+  const decoder = new TextDecoder("utf-8");
+  let rest = "";
+  try {
+    let bytes;
+    while ((bytes = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      const lines = (
+        rest + decoder.decode(buffer.subarray(0, bytes), { stream: true })
+      ).split("\n");
+      rest = lines.pop();
+      for (const line of lines) {
+        if (line !== "") yield JSON.parse(line);
+      }
     }
+    rest += decoder.decode();
+    if (rest !== "") yield JSON.parse(rest);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
 
-    // Create maps by key
-    const map1 = new Map();
-    const map2 = new Map();
+// Lets pending I/O, timers and abort handlers run between long steps
+function yieldToEventLoop() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
 
-    data1.forEach((row, idx) => {
-      const key = this.createRowHash(row, keyCol);
-      map1.set(key, { row, originalIndex: idx });
-    });
+const SPILL_FLUSH_LINES = 1000;
 
-    data2.forEach((row, idx) => {
-      const key = this.createRowHash(row, keyCol);
-      map2.set(key, { row, originalIndex: idx });
-    });
+// Rows of one streamed sheet, held in memory until spill() moves them to a
+// JSON-lines file. partition() splits them by key so that each part can be
+// compared on its own
+class RowStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.rows = [];
+    this.pending = null;
+    this.length = 0;
+  }
 
-    const modifiedRecords = [];
-    const columnChanges = {};
-
-    // Find common keys
-    const commonKeys = [...map1.keys()].filter((key) => map2.has(key));
-
-    commonKeys.forEach((key) => {
-      const entry1 = map1.get(key);
-      const entry2 = map2.get(key);
-      const row1 = entry1.row;
-      const row2 = entry2.row;
-
-      const changes = {};
-      let hasChanges = false;
-
-      // Get all columns from both rows
-      const allCols = new Set([...Object.keys(row1), ...Object.keys(row2)]);
-
-      allCols.forEach((col) => {
-        const val1 = this.normalize(row1[col]);
-        const val2 = this.normalize(row2[col]);
-
-        if (val1 !== val2) {
-          // Only add if values are not empty
-          if (val1 !== "" || val2 !== "") {
-            changes[`${col}_old`] = val1;
-            changes[`${col}_new`] = val2;
-            columnChanges[col] = (columnChanges[col] || 0) + 1;
-            hasChanges = true;
-          }
-        }
-      });
+  get spilled() {
+    return this.pending !== null;
+  }
 
-      if (hasChanges) {
-        // Add key information
-        if (Array.isArray(keyCol)) {
-          keyCol.forEach((col) => {
-            changes[col] = row1[col];
-          });
-        } else if (keyCol) {
-          changes[keyCol] = row1[keyCol];
-        }
+  add(row) {
+    this.length++;
+    if (!this.spilled) {
+      this.rows.push(row);
+      return;
+    }
+    this.pending.push(JSON.stringify([row[ROW_NUMBER], row]));
+    if (this.pending.length >= SPILL_FLUSH_LINES) this.flush();
+  }
 
-        modifiedRecords.push(changes);
-      }
-    });
+  spill() {
+    if (this.spilled) return;
+    fs.writeFileSync(this.filePath, "");
+    this.pending = this.rows.map((row) =>
+      JSON.stringify([row[ROW_NUMBER], row])
+    );
+    this.rows = [];
+    this.flush();
+  }
 
-    return { records: modifiedRecords, columnChanges };
+  flush() {
+    if (this.pending.length === 0) return;
+    fs.appendFileSync(this.filePath, `${this.pending.join("\n")}\n`);
+    this.pending = [];
   }
 
-  findDuplicates(data, keyCol) {
-    if (data.length === 0) return [];
+  *readRows() {
+    if (!this.spilled) {
+      yield* this.rows;
+      return;
+    }
+    this.flush();
+    for (const [rowNumber, row] of readJsonLines(this.filePath)) {
+      row[ROW_NUMBER] = rowNumber;
+      yield row;
+    }
+  }
 
-    const keyMap = new Map();
+  // Returns one loader per part; spilled rows go to a file per part
+  partition(keyOf, count) {
+    if (!this.spilled) {
+      const parts = Array.from({ length: count }, () => []);
+      this.rows.forEach((row) => {
+        parts[hashBucket(keyOf(row), count)].push(row);
+      });
+      return parts.map((rows) => () => rows);
+    }
 
-    data.forEach((row) => {
-      const key = this.createRowHash(row, keyCol);
-      if (!keyMap.has(key)) {
-        keyMap.set(key, []);
+    const parts = Array.from(
+      { length: count },
+      (_, i) => new RowStore(`${this.filePath}.${i}`)
+    );
+    parts.forEach((part) => part.spill());
+    for (const row of this.readRows()) {
+      parts[hashBucket(keyOf(row), count)].add(row);
+    }
+    return parts.map((part) => () => [...part.readRows()]);
+  }
+}
+
+const MODIFIED_LAYOUTS = ["details", "columns", "rows"];
+
+// "records" reads a header row plus one record per row, "grid" compares
+// cells by address, for forms and statements
+const SHEET_MODES = ["records", "grid"];
+
+// In increasing severity; "silent" turns logging off
+const LOG_LEVELS = ["debug", "info", "warn", "error", "silent"];
+
+function timestamped(write) {
+  return (message) => write(`${new Date().toISOString()} - ${message}`);
+}
+
+// Default logger: timestamped lines, with warnings and errors on stderr
+const CONSOLE_LOGGER = {
+  debug: timestamped((line) => console.log(line)),
+  info: timestamped((line) => console.log(line)),
+  warn: timestamped((line) => console.error(line)),
+  error: timestamped((line) => console.error(line)),
+};
+
+// Bump when the shape of the JSON report changes incompatibly
+const JSON_REPORT_VERSION = 1;
+// Likewise for the version history JSON
+const HISTORY_JSON_VERSION = 1;
+
+const DEFAULT_NORMALIZATION = {
+  caseSensitive: false,
+  trim: true,
+  collapseWhitespace: false,
+  unicode: null,
+  replacements: [],
+  equivalents: new Map(),
+};
+
+// Emits "sheetStart" and "sheetDone" around each compared sheet pair,
+// "progress" as rows are read, matched and compared, with phase "read",
+// "match" or "compare", and "error" when a sheet fails
+class ExcelComparator extends EventEmitter {
+  constructor(config) {
+    super();
+    // An ordered series of versions, as paths or { path, label }, for
+    // compareVersions(); compareSheets() compares the first and the last
+    const files = (config.files || []).map((file) =>
+      typeof file === "string" ? { path: file } : file
+    );
+    const labels = versionLabels(files.map((file) => file.path));
+    this.files = files.map((file, i) => ({ label: labels[i], ...file }));
+    if (this.files.length === 1) {
+      throw new Error("files needs at least two versions to compare");
+    }
+    const first = this.files[0];
+    const last = this.files[this.files.length - 1];
+    this.config = config;
+    this.file1Path = config.file1Path || (first && first.path);
+    this.file2Path = config.file2Path || (last && last.path);
+    this.file1Options = config.file1Options || {};
+    this.file2Options = config.file2Options || {};
+    this.sheets = config.sheets || null;
+    this.sheetMappings = (config.sheetMappings || []).map((mapping) => {
+      if (typeof mapping.old !== "string" || typeof mapping.new !== "string") {
+        throw new Error(
+          `Invalid sheet mapping ${JSON.stringify(
+            mapping
+          )}, expected { old: "...", new: "..." }`
+        );
       }
-      keyMap.get(key).push(row);
+      return { ...mapping, compiled: compileSheetPattern(mapping.old) };
     });
+    this.headerRows = config.headerRows || {};
+    // { sheet|"*": [col] }
+    this.keyColumns = config.keyColumns || {};
+    this.file1Label =
+      config.file1Label || (first && first.label) || "Old Version";
+    this.file2Label =
+      config.file2Label || (last && last.label) || "New Version";
+    this.outputPath = config.outputPath || null;
+    this.annotatedOutputPath = config.annotatedOutputPath || null;
+    this.jsonOutputPath = config.jsonOutputPath || null;
+    this.htmlOutputPath = config.htmlOutputPath || null;
+    this.matchRenamedTabs = config.matchRenamedTabs || false;
+    this.renamedTabThreshold =
+      config.renamedTabThreshold === undefined
+        ? 0.7
+        : config.renamedTabThreshold;
+    this.renamedColumnThreshold =
+      config.renamedColumnThreshold === undefined
+        ? 0.6
+        : config.renamedColumnThreshold;
+    this.excludeSchemaChanges = config.excludeSchemaChanges || false;
+    // Without a key, pair deleted and new rows that are at least
+    // fuzzyThreshold similar; columnWeights is { sheet|"*": { col|"*": n } }
+    this.fuzzyMatching = config.fuzzyMatching || false;
+    this.fuzzyThreshold =
+      config.fuzzyThreshold === undefined ? 0.8 : config.fuzzyThreshold;
+    // Columns that pair up rows sharing a key, { sheet|"*": [col] }
+    this.secondaryKeyColumns = config.secondaryKeyColumns || {};
+    this.columnWeights = _.mapValues(config.columnWeights || {}, (columns) =>
+      _.mapValues(columns, (weight) => ({ weight }))
+    );
+    this.comparisonRules = config.comparisonRules || {};
+    this.normalization = config.normalization || {};
+    this.normalizationCache = new Map();
+    this.ignoreColumns = config.ignoreColumns || {};
+    this.onlyColumns = config.onlyColumns || {};
+    this.columnFilterCache = new Map();
+    this.modifiedLayout = config.modifiedLayout || "details";
+    // { sheet|"*": "records"|"grid" }; alignGrid lines up inserted and
+    // deleted rows and columns of grid sheets before comparing their cells
+    this.sheetModes = config.sheetModes || {};
+    this.alignGrid = config.alignGrid || false;
+    // Typed mode reads numbers, booleans, dates and errors as values rather
+    // than as formatted text; numberFormatChanges (which implies it) also
+    // reports cells whose number format changed but whose value did not
+    this.numberFormatChanges = config.numberFormatChanges || false;
+    this.typedValues = config.typedValues || this.numberFormatChanges;
+    // Also compare the formulas behind cell values
+    this.compareFormulas = config.compareFormulas || false;
+    // Also compare styles, comments, merged cells, data validation and
+    // conditional formatting of .xlsx inputs, cell by cell
+    this.compareFormatting = config.compareFormatting || false;
+    this.streaming = config.streaming || false;
+    // Streaming mode: heap size in MB above which rows spill to disk, and
+    // the number of rows per sheet kept for key detection and schema diffs
+    this.memoryThreshold =
+      config.memoryThreshold === undefined ? 1024 : config.memoryThreshold;
+    this.spillDirectory = config.spillDirectory || os.tmpdir();
+    this.spillPartitions =
+      config.spillPartitions === undefined ? 64 : config.spillPartitions;
+    this.streamingSampleRows =
+      config.streamingSampleRows === undefined
+        ? 1000
+        : config.streamingSampleRows;
+    this.streamState = null;
+    // Any object with debug/info/warn/error methods, such as console
+    this.logger = config.logger || CONSOLE_LOGGER;
+    this.logLevel = config.quiet ? "error" : config.logLevel || "info";
+    this.strict = config.strict || false;
+    this.errors = [];
+    this.warnings = [];
+    this.results = [];
+    this.tabChanges = null;
+    this.history = null;
+    this.workbookCache = new Map();
+    this.sheetLayouts = new Map();
 
-    const duplicates = [];
-    keyMap.forEach((rows, key) => {
-      if (rows.length > 1) {
-        duplicates.push(...rows);
+    if (!MODIFIED_LAYOUTS.includes(this.modifiedLayout)) {
+      throw new Error(
+        `Invalid modifiedLayout '${
+          this.modifiedLayout
+        }', expected one of: ${MODIFIED_LAYOUTS.join(", ")}`
+      );
+    }
+
+    Object.entries(this.sheetModes).forEach(([sheetName, mode]) => {
+      if (!SHEET_MODES.includes(mode)) {
+        throw new Error(
+          `Invalid sheet mode '${mode}' for '${sheetName}', expected one of: ${SHEET_MODES.join(
+            ", "
+          )}`
+        );
       }
     });
 
-    return duplicates;
-  }
+    if (!LOG_LEVELS.includes(this.logLevel)) {
+      throw new Error(
+        `Invalid logLevel '${
+          this.logLevel
+        }', expected one of: ${LOG_LEVELS.join(", ")}`
+      );
+    }
 
-  compareSheets() {
-    this.log(
-      `Starting comparison: ${path.basename(this.file1Path)} vs ${path.basename(
-        this.file2Path
-      )}`
-    );
+    if (!(this.fuzzyThreshold >= 0 && this.fuzzyThreshold <= 1)) {
+      throw new Error(
+        `Invalid fuzzyThreshold '${this.fuzzyThreshold}', expected a number between 0 and 1`
+      );
+    }
 
-    // Get sheet names
-    if (!this.sheets) {
-      const workbook = XLSX.readFile(this.file1Path);
-      this.sheets = workbook.SheetNames;
-      this.log(`Comparing all sheets: ${this.sheets.join(", ")}`);
+    // Streamed cells are read unformatted anyway, rows spilled to disk
+    // could not keep their types, formats or formulas, and the formatting
+    // diff would load both workbooks whole
+    if (
+      this.streaming &&
+      (this.typedValues || this.compareFormulas || this.compareFormatting)
+    ) {
+      this.log(
+        "typedValues, numberFormatChanges, compareFormulas and compareFormatting are ignored when streaming",
+        "warn"
+      );
+      this.typedValues = false;
+      this.numberFormatChanges = false;
+      this.compareFormulas = false;
+      this.compareFormatting = false;
+    }
+    if (this.streaming && Object.values(this.sheetModes).includes("grid")) {
+      this.log("Grid sheets are compared as records when streaming", "warn");
+      this.sheetModes = {};
     }
 
-    this.sheets.forEach((sheetName) => {
-      this.log(`\n${"=".repeat(60)}`);
-      this.log(`Processing sheet: ${sheetName}`);
-      this.log("=".repeat(60));
+    this.validateComparisonRules();
+    this.validateNormalization();
 
-      try {
-        const data1 = this.readSheet(this.file1Path, sheetName);
-        const data2 = this.readSheet(this.file2Path, sheetName);
+    // Validate files exist
+    _.uniq([
+      this.file1Path,
+      this.file2Path,
+      ...this.files.map((file) => file.path),
+    ]).forEach((filePath) => {
+      if (!fs.existsSync(filePath)) {
+        throw new FileNotFoundError(`File not found: ${filePath}`, {
+          filePath,
+        });
+      }
+    });
+  }
 
-        if (data1.length === 0 && data2.length === 0) {
-          this.log(`Sheet '${sheetName}' is empty in both files. Skipping.`);
-          return;
+  validateComparisonRules() {
+    Object.entries(this.comparisonRules).forEach(([sheetName, columns]) => {
+      Object.entries(columns).forEach(([col, rule]) => {
+        const where = `comparison rule for '${sheetName}' / '${col}'`;
+        if (
+          rule.dateGranularity &&
+          !DATE_GRANULARITY_MS[rule.dateGranularity]
+        ) {
+          throw new Error(
+            `Invalid dateGranularity '${
+              rule.dateGranularity
+            }' in ${where}, expected one of: ${Object.keys(
+              DATE_GRANULARITY_MS
+            ).join(", ")}`
+          );
         }
+        if (rule.timezone) {
+          timezoneOffsetMinutes(rule.timezone, Date.now());
+        }
+      });
+    });
+  }
 
-        const keyCol = this.detectKeyColumn(
-          data1.length > 0 ? data1 : data2,
-          sheetName
-        );
-
-        // Debug logging
-        if (keyCol === null) {
-          this.log("Using full row hash comparison");
-          if (data1.length > 0 && data2.length > 0) {
-            const sample1 = data1
-              .slice(0, 2)
-              .map((row) => this.createRowHash(row, keyCol));
-            const sample2 = data2
-              .slice(0, 2)
-              .map((row) => this.createRowHash(row, keyCol));
-            this.log(`Sample File1 hashes: ${sample1.join(", ")}`);
-            this.log(`Sample File2 hashes: ${sample2.join(", ")}`);
-          }
+  validateNormalization() {
+    Object.entries(this.normalization).forEach(([sheetName, columns]) => {
+      Object.entries(columns).forEach(([col, settings]) => {
+        try {
+          this.compileNormalization(settings);
+        } catch (error) {
+          throw new Error(
+            `Invalid normalization for '${sheetName}' / '${col}': ${error.message}`
+          );
         }
+      });
+    });
+  }
 
-        const newRecords = this.findNewRecords(data1, data2, keyCol);
-        const deletedRecords = this.findDeletedRecords(data1, data2, keyCol);
-        const { records: modifiedRecords, columnChanges } =
-          this.findModifiedRecords(data1, data2, keyCol);
-        const duplicates1 = this.findDuplicates(data1, keyCol);
-        const duplicates2 = this.findDuplicates(data2, keyCol);
+  log(message, level = "info") {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(this.logLevel)) return;
+    this.logger[level](message);
+  }
 
-        const keyDisplay = Array.isArray(keyCol)
-          ? keyCol.join(", ")
-          : keyCol || "Full Row Hash";
+  // Strict mode throws; otherwise the error is logged, kept in this.errors
+  // for the reports and passed to any "error" listeners
+  handleError(error) {
+    if (this.strict) throw error;
+    this.errors.push(error);
+    this.log(error.message, "error");
+    if (this.listenerCount("error") > 0) this.emit("error", error);
+  }
 
-        this.results.push({
-          sheetName,
-          keyColumn: keyDisplay,
-          rowCountFile1: data1.length,
-          rowCountFile2: data2.length,
-          colCountFile1: data1.length > 0 ? Object.keys(data1[0]).length : 0,
-          colCountFile2: data2.length > 0 ? Object.keys(data2[0]).length : 0,
-          newRecords,
-          deletedRecords,
-          modifiedRecords,
-          duplicatesFile1: duplicates1,
-          duplicatesFile2: duplicates2,
-          columnChanges,
-        });
-
-        this.log(`\nSheet '${sheetName}' Summary:`);
-        this.log(`  Key Column: ${keyDisplay}`);
-        this.log(`  Row Count: ${data1.length} vs ${data2.length}`);
-        this.log(`  New Records: ${newRecords.length}`);
-        this.log(`  Deleted Records: ${deletedRecords.length}`);
-        this.log(`  Modified Records: ${modifiedRecords.length}`);
-        this.log(`  Duplicates in File1: ${duplicates1.length}`);
-        this.log(`  Duplicates in File2: ${duplicates2.length}`);
-      } catch (error) {
-        this.log(`Error processing sheet '${sheetName}': ${error.message}`);
-      }
-    });
+  // Problems the comparison recovered from. Strict mode still throws;
+  // otherwise they are kept in this.warnings, apart from the errors that
+  // decide the exit code, and passed to any "warning" listeners
+  handleWarning(error) {
+    if (this.strict) throw error;
+    this.warnings.push(error);
+    this.log(error.message, "warn");
+    this.emit("warning", error);
+  }
 
-    return this.results;
+  normalizeColumnName(name) {
+    return String(name).trim().toLowerCase().replace(/\s+/g, "_");
   }
 
-  formatDetailRecords(records, sheetName) {
-    return records
-      .map((row, index) => {
-        const detailsParts = [];
+  normalize(value, options = DEFAULT_NORMALIZATION) {
+    let v;
+    if (value === null || value === undefined) v = "";
+    else if (value instanceof Date) {
+      v = this.typedValues
+        ? formatDate(value)
+        : value.toISOString().split("T")[0];
+    } else v = String(value);
 
-        Object.entries(row).forEach(([key, value]) => {
-          const normalized = this.normalize(value);
-          if (normalized !== "" && normalized !== "nan") {
-            detailsParts.push(`${key}: ${value}`);
+    if (options.unicode) v = v.normalize(options.unicode);
+    if (options.trim) v = v.trim();
+    if (options.collapseWhitespace) v = v.replace(/\s+/g, " ");
+    options.replacements.forEach(({ regex, replacement }) => {
+      v = v.replace(regex, replacement);
+    });
+    // Convert numbers to consistent string format; typed text such as
+    // "007" stays text
+    const isText = this.typedValues && typeof value === "string";
+    if (!isText && v !== "" && v === v.trim() && !isNaN(v)) {
+      v = Number(v).toString();
+    }
+    if (!options.caseSensitive && (isText || !this.typedValues)) {
+      v = v.toLowerCase();
+    }
+
+    // Map every member of an equivalence set onto its first member
+    return options.equivalents.has(v) ? options.equivalents.get(v) : v;
+  }
+
+  compileNormalization(settings) {
+    const options = {
+      ...DEFAULT_NORMALIZATION,
+      ..._.pick(settings, [
+        "caseSensitive",
+        "trim",
+        "collapseWhitespace",
+        "unicode",
+      ]),
+      replacements: (settings.replacements || []).map((r) => ({
+        regex: new RegExp(r.pattern, r.flags === undefined ? "g" : r.flags),
+        replacement: r.replacement || "",
+      })),
+      equivalents: new Map(),
+    };
+
+    if (options.unicode) "".normalize(options.unicode);
+
+    (settings.equivalents || []).forEach((set) => {
+      const members = set.map((member) => this.normalize(member, options));
+      members.forEach((member) => {
+        options.equivalents.set(member, members[0]);
+      });
+    });
+
+    return options;
+  }
+
+  getNormalizationOptions(sheetName, col) {
+    const cacheKey = `${sheetName}\u0000${col}`;
+    if (!this.normalizationCache.has(cacheKey)) {
+      const settings = this.resolveColumnSettings(
+        this.normalization,
+        sheetName,
+        col
+      );
+      this.normalizationCache.set(
+        cacheKey,
+        Object.keys(settings).length > 0
+          ? this.compileNormalization(settings)
+          : DEFAULT_NORMALIZATION
+      );
+    }
+    return this.normalizationCache.get(cacheKey);
+  }
+
+  // Text is normalized here, once, as rows are read; typed values are kept
+  // as they are and normalized by recordValue() when compared
+  normalizeData(data, sheetName = null) {
+    return data.map((row) => {
+      const normalized = {};
+      Object.keys(row).forEach((key) => {
+        const normalizedKey = this.normalizeColumnName(key);
+        normalized[ROW_NUMBER] = row[ROW_NUMBER];
+        normalized[normalizedKey] =
+          this.typedValues && typeof row[key] !== "string"
+            ? row[key]
+            : this.normalize(
+                row[key],
+                this.getNormalizationOptions(sheetName, normalizedKey)
+              );
+      });
+      CELL_DETAILS.forEach((details) => {
+        if (row[details]) {
+          normalized[details] = _.mapKeys(row[details], (_v, key) =>
+            this.normalizeColumnName(key)
+          );
+        }
+      });
+      return normalized;
+    });
+  }
+
+  // The normalized value of a record's column. Text was normalized by
+  // normalizeData() already, and normalizing it again would apply the
+  // replacements twice
+  recordValue(row, col, sheetName = null) {
+    const value = row[col];
+    if (typeof value === "string") return value;
+    return this.normalize(value, this.getNormalizationOptions(sheetName, col));
+  }
+
+  getInputOptions(filePath) {
+    return filePath === this.file1Path ? this.file1Options : this.file2Options;
+  }
+
+  getInputFormat(filePath) {
+    const options = this.getInputOptions(filePath);
+    return (
+      options.format || INPUT_FORMATS[path.extname(filePath).toLowerCase()]
+    );
+  }
+
+  isDelimited(filePath) {
+    return DELIMITED_FORMATS.includes(this.getInputFormat(filePath));
+  }
+
+  loadWorkbook(filePath) {
+    // Parse each workbook once, no matter how many sheets are read from it
+    if (!this.workbookCache.has(filePath)) {
+      let workbook;
+      try {
+        workbook = this.isDelimited(filePath)
+          ? this.readDelimited(filePath)
+          : XLSX.readFile(filePath, {
+              cellDates: this.typedValues,
+              cellNF: this.numberFormatChanges,
+            });
+      } catch (error) {
+        throw new ParseError(`Could not read ${filePath}: ${error.message}`, {
+          filePath,
+          cause: error,
+        });
+      }
+      this.workbookCache.set(filePath, workbook);
+    }
+    return this.workbookCache.get(filePath);
+  }
+
+  // A delimited file becomes a workbook with a single sheet. Without an
+  // explicit sheetName it takes the first configured sheet, or the name of
+  // the only sheet in the other file, so it lines up with that sheet
+  delimitedSheetName(filePath) {
+    const options = this.getInputOptions(filePath);
+    if (options.sheetName) return options.sheetName;
+    if (this.sheets && this.sheets.length > 0) return this.sheets[0];
+
+    const otherPath =
+      filePath === this.file1Path ? this.file2Path : this.file1Path;
+    if (!this.isDelimited(otherPath)) {
+      const otherSheets = this.loadWorkbook(otherPath).SheetNames;
+      if (otherSheets.length === 1) return otherSheets[0];
+    }
+    return "Sheet1";
+  }
+
+  readDelimited(filePath) {
+    const options = this.getInputOptions(filePath);
+    const format = this.getInputFormat(filePath);
+    const delimiter = options.delimiter || (format === "tsv" ? "\t" : ",");
+    const quote = options.quote === undefined ? '"' : options.quote;
+
+    const text = new TextDecoder(options.encoding || "utf-8").decode(
+      fs.readFileSync(filePath)
+    );
+    const rows = parseDelimited(text, delimiter, quote);
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.aoa_to_sheet(rows),
+      this.delimitedSheetName(filePath)
+    );
+    return workbook;
+  }
+
+  // configName is the sheet name used to look up per-sheet settings, which
+  // differs from sheetName when reading the new side of a renamed tab
+  readSheet(filePath, sheetName, configName = sheetName) {
+    const normalized = this.normalizeData(
+      this.readSheetRecords(filePath, sheetName, configName),
+      configName
+    );
+    this.logSheetRead(filePath, sheetName, normalized);
+    return normalized;
+  }
+
+  // normalizeData() CHUNK_ROWS rows at a time, calling onChunk(rowCount)
+  // after each chunk
+  async normalizeDataInChunks(data, sheetName, onChunk, signal = null) {
+    const normalized = [];
+    for (let i = 0; i < data.length; i += CHUNK_ROWS) {
+      if (signal) signal.throwIfAborted();
+      const chunk = data.slice(i, i + CHUNK_ROWS);
+      normalized.push(...this.normalizeData(chunk, sheetName));
+      onChunk(chunk.length);
+      await yieldToEventLoop();
+    }
+    return normalized;
+  }
+
+  logSheetRead(filePath, sheetName, data) {
+    this.log(
+      `Read sheet '${sheetName}' from ${path.basename(filePath)}: ${
+        data.length
+      } rows, ${data.length > 0 ? Object.keys(data[0]).length : 0} columns`
+    );
+  }
+
+  // The records of a sheet before normalization, without unnamed columns
+  readSheetRecords(filePath, sheetName, configName = sheetName) {
+    const workbook = this.loadWorkbook(filePath);
+
+    if (!workbook.SheetNames.includes(sheetName)) {
+      this.handleError(
+        new SheetNotFoundError(
+          `Sheet '${sheetName}' not found in ${filePath}`,
+          { filePath, sheetName }
+        )
+      );
+      return [];
+    }
+
+    let data;
+    try {
+      const sheet = this.sheetToRecords(
+        workbook.Sheets[sheetName],
+        sheetName,
+        configName
+      );
+      this.sheetLayouts.set(`${filePath}::${sheetName}`, sheet.columns);
+      data = sheet.records;
+    } catch (error) {
+      this.handleError(
+        new ParseError(
+          `Could not read sheet '${sheetName}' from ${filePath}: ${error.message}`,
+          { filePath, sheetName, cause: error }
+        )
+      );
+      return [];
+    }
+
+    // Remove unnamed columns
+    return data
+      .map((row) => {
+        const cleaned = { [ROW_NUMBER]: row[ROW_NUMBER] };
+        CELL_DETAILS.forEach((details) => {
+          cleaned[details] = row[details];
+        });
+        Object.keys(row).forEach((key) => {
+          if (!key.toLowerCase().includes("unnamed")) {
+            cleaned[key] = row[key];
+          }
+        });
+        return cleaned;
+      })
+      .filter((row) => Object.keys(row).length > 0);
+  }
+
+  getSheetMode(sheetName) {
+    return this.sheetModes[sheetName] || this.sheetModes["*"] || "records";
+  }
+
+  // Cell values of a sheet as rows of columns, from its top-left used cell
+  // (origin). Values are formatted text, or typed values in typed mode
+  readGrid(filePath, sheetName) {
+    const workbook = this.loadWorkbook(filePath);
+    const empty = { rows: [], origin: { r: 0, c: 0 } };
+
+    if (!workbook.SheetNames.includes(sheetName)) {
+      this.handleError(
+        new SheetNotFoundError(
+          `Sheet '${sheetName}' not found in ${filePath}`,
+          { filePath, sheetName }
+        )
+      );
+      return empty;
+    }
+
+    const worksheet = workbook.Sheets[sheetName];
+    if (!worksheet["!ref"]) return empty;
+    const range = XLSX.utils.decode_range(worksheet["!ref"]);
+    const rows = [];
+    for (let r = range.s.r; r <= range.e.r; r++) {
+      const row = [];
+      for (let c = range.s.c; c <= range.e.c; c++) {
+        const cell = worksheet[XLSX.utils.encode_cell({ r, c })];
+        if (!cell || cell.v === undefined || cell.v === null) {
+          row.push("");
+        } else if (this.typedValues) {
+          row.push(cell.v);
+        } else {
+          row.push(XLSX.utils.format_cell(cell));
+        }
+      }
+      rows.push(row);
+    }
+    // Typed error cells and dates need the same fixes as records
+    if (this.typedValues) this.readCellDetails(worksheet, rows, range);
+    return { rows, origin: range.s };
+  }
+
+  getHeaderOptions(sheetName) {
+    let options = this.headerRows[sheetName];
+    if (options === undefined) options = this.headerRows["*"];
+
+    // A bare number is the header row index, "auto" (or nothing) detects it
+    if (options === undefined || options === null || options === "auto") {
+      options = {};
+    } else if (typeof options === "number") {
+      options = { headerRow: options };
+    }
+
+    const headerRow =
+      options.headerRow === undefined || options.headerRow === "auto"
+        ? null
+        : options.headerRow;
+    return {
+      headerRow,
+      headerRowCount: options.headerRowCount || 1,
+      dataStartRow:
+        options.dataStartRow === undefined ? null : options.dataStartRow,
+      dataEndRow: options.dataEndRow === undefined ? null : options.dataEndRow,
+    };
+  }
+
+  detectHeaderRow(rows) {
+    // Title banners above the header fill only a few cells, so take the
+    // first mostly-text row that is about as wide as the widest row
+    const scanned = rows.slice(0, 20);
+    const filledCounts = scanned.map(
+      (row) => row.filter((v) => String(v).trim() !== "").length
+    );
+    const maxFilled = Math.max(0, ...filledCounts);
+    if (maxFilled === 0) return 0;
+
+    const index = scanned.findIndex((row, i) => {
+      const filled = row.filter((v) => String(v).trim() !== "");
+      const textCells = filled.filter((v) => isNaN(v)).length;
+      return (
+        filledCounts[i] >= Math.min(2, maxFilled) &&
+        filledCounts[i] >= maxFilled / 2 &&
+        textCells >= filled.length / 2
+      );
+    });
+    return index === -1 ? 0 : index;
+  }
+
+  // origin is the worksheet cell that rows[0][0] was read from, so merged
+  // ranges can be placed on the rows
+  buildHeaderNames(
+    rows,
+    headerIndex,
+    headerRowCount,
+    merges = [],
+    origin = { r: 0, c: 0 }
+  ) {
+    const headerRows = rows
+      .slice(headerIndex, headerIndex + headerRowCount)
+      .map((row) => [...row]);
+    const headerRowAt = (sheetRow) =>
+      headerRows[sheetRow - origin.r - headerIndex];
+
+    // Spread merged header cells across every cell they cover
+    merges.forEach((merge) => {
+      const top = headerRowAt(merge.s.r);
+      if (!top) return;
+      const value = top[merge.s.c - origin.c];
+      for (let r = merge.s.r; r <= merge.e.r; r++) {
+        const headerRow = headerRowAt(r);
+        if (!headerRow) continue;
+        for (let c = merge.s.c; c <= merge.e.c; c++) {
+          headerRow[c - origin.c] = value;
+        }
+      }
+    });
+
+    const width = Math.max(0, ...rows.map((row) => row.length));
+    const seen = {};
+    const names = [];
+    for (let c = 0; c < width; c++) {
+      // Join the parts of multi-row headers, skipping repeats from merges
+      const parts = [];
+      headerRows.forEach((row) => {
+        const part = String(row[c] === undefined ? "" : row[c]).trim();
+        if (part !== "" && parts[parts.length - 1] !== part) parts.push(part);
+      });
+      let name = parts.length > 0 ? parts.join(" ") : `Unnamed: ${c}`;
+
+      if (seen[name] !== undefined) {
+        seen[name]++;
+        name = `${name}_${seen[name]}`;
+      } else {
+        seen[name] = 0;
+      }
+      names.push(name);
+    }
+    return names;
+  }
+
+  // Returns the records plus a map of normalized column name to worksheet
+  // column number, used to locate cells when annotating the source files
+  sheetToRecords(worksheet, sheetName, configName) {
+    const empty = { records: [], columns: new Map() };
+    if (!worksheet["!ref"]) return empty;
+
+    // Rows as arrays, with blank rows kept so indices match the worksheet
+    const rows = XLSX.utils.sheet_to_json(worksheet, {
+      header: 1,
+      defval: "",
+      raw: this.typedValues,
+      blankrows: true,
+    });
+    const range = XLSX.utils.decode_range(worksheet["!ref"]);
+    const firstRow = range.s.r;
+    const { formats, formulas } = this.readCellDetails(worksheet, rows, range);
+    const options = this.getHeaderOptions(configName);
+
+    let headerIndex;
+    if (options.headerRow === null) {
+      headerIndex = this.detectHeaderRow(rows);
+      if (headerIndex > 0) {
+        this.log(
+          `Auto-detected header row for '${sheetName}': ${
+            firstRow + headerIndex
+          }`
+        );
+      }
+    } else {
+      headerIndex = options.headerRow - firstRow;
+    }
+    if (headerIndex < 0 || headerIndex >= rows.length) return empty;
+
+    const names = this.buildHeaderNames(
+      rows,
+      headerIndex,
+      options.headerRowCount,
+      worksheet["!merges"],
+      range.s
+    );
+
+    const start =
+      options.dataStartRow === null
+        ? headerIndex + options.headerRowCount
+        : options.dataStartRow - firstRow;
+    const end =
+      options.dataEndRow === null
+        ? rows.length - 1
+        : Math.min(options.dataEndRow - firstRow, rows.length - 1);
+
+    const records = [];
+    for (let i = Math.max(start, 0); i <= end; i++) {
+      const row = rows[i];
+      if (row.every((v) => String(v).trim() === "")) continue;
+
+      const record = { [ROW_NUMBER]: firstRow + i + 1 };
+      names.forEach((name, c) => {
+        record[name] = row[c] === undefined ? "" : row[c];
+      });
+      if (formats && formats[i]) {
+        record[NUMBER_FORMATS] = {};
+        names.forEach((name, c) => {
+          record[NUMBER_FORMATS][name] = formats[i][c] || "General";
+        });
+      }
+      if (formulas) {
+        record[FORMULAS] = {};
+        names.forEach((name, c) => {
+          if (formulas[i] && formulas[i][c]) {
+            record[FORMULAS][name] = formulas[i][c];
+          }
+        });
+      }
+      records.push(record);
+    }
+
+    const columns = new Map();
+    names.forEach((name, c) => {
+      columns.set(this.normalizeColumnName(name), range.s.c + c + 1);
+    });
+    return { records, columns };
+  }
+
+  // In typed mode, fills in the cells sheet_to_json drops or misreads:
+  // error values, and dates, which SheetJS builds in local time. Returns
+  // the number formats (with numberFormatChanges) and formulas (with
+  // compareFormulas) of the cells by row, or null when not wanted
+  readCellDetails(worksheet, rows, range) {
+    const formats = this.numberFormatChanges ? [] : null;
+    const formulas = this.compareFormulas ? [] : null;
+    if (!this.typedValues && !this.compareFormulas) {
+      return { formats, formulas };
+    }
+
+    for (let r = range.s.r; r <= range.e.r; r++) {
+      const row = rows[r - range.s.r];
+      if (!row) continue;
+      for (let c = range.s.c; c <= range.e.c; c++) {
+        const cell = worksheet[XLSX.utils.encode_cell({ r, c })];
+        if (!cell) continue;
+        const index = c - range.s.c;
+        if (formulas && cell.f) {
+          if (!formulas[r - range.s.r]) formulas[r - range.s.r] = [];
+          formulas[r - range.s.r][index] = {
+            text: `=${cell.f}`,
+            relative: relativeFormula(cell.f, r, c),
+          };
+        }
+        if (!this.typedValues) continue;
+        if (cell.t === "e") {
+          row[index] = new CellError(cell.w || CELL_ERRORS[cell.v] || "#N/A");
+        } else if (row[index] instanceof Date) {
+          const d = row[index];
+          row[index] = new Date(
+            Date.UTC(
+              d.getFullYear(),
+              d.getMonth(),
+              d.getDate(),
+              d.getHours(),
+              d.getMinutes(),
+              d.getSeconds(),
+              d.getMilliseconds()
+            )
+          );
+        }
+        if (formats && cell.z) {
+          if (!formats[r - range.s.r]) formats[r - range.s.r] = [];
+          formats[r - range.s.r][index] = cell.z;
+        }
+      }
+    }
+    return { formats, formulas };
+  }
+
+  getColumnFilter(sheetName) {
+    if (!this.columnFilterCache.has(sheetName)) {
+      const names = (list) =>
+        (list || []).map((col) => this.normalizeColumnName(col));
+      const only = this.onlyColumns[sheetName] || this.onlyColumns["*"];
+
+      this.columnFilterCache.set(sheetName, {
+        only: only ? new Set(names(only)) : null,
+        ignore: new Set([
+          ...names(this.ignoreColumns["*"]),
+          ...names(sheetName === null ? [] : this.ignoreColumns[sheetName]),
+        ]),
+      });
+    }
+    return this.columnFilterCache.get(sheetName);
+  }
+
+  isColumnCompared(sheetName, col) {
+    const filter = this.getColumnFilter(sheetName);
+    if (filter.only && !filter.only.has(col)) return false;
+    return !filter.ignore.has(col);
+  }
+
+  // Normalized values of each column, as createRowHash() would key them
+  keyColumnValues(data, columns, sheetName) {
+    const values = new Map();
+    columns.forEach((col) => {
+      values.set(
+        col,
+        data.map((row) => this.recordValue(row, col, sheetName))
+      );
+    });
+    return values;
+  }
+
+  // Scores a candidate key over both files. uniqueness is the share of rows
+  // with a distinct, complete key and stability the overlap of the key sets
+  // of the two files; rows that reuse another row's key are collisions.
+  // Keys holding fractional numbers are amounts or other measures, unique
+  // by chance rather than identifiers, and score lower
+  scoreKeyCandidate(columns, values1, values2, rowCount1, rowCount2) {
+    const scan = (values, count) => {
+      const keys = new Set();
+      let empty = 0;
+      let collisions = 0;
+      let fractional = 0;
+      for (let i = 0; i < count; i++) {
+        const parts = columns.map((col) => values.get(col)[i]);
+        if (parts.some((part) => part === "")) {
+          empty++;
+        } else {
+          const key = parts.join("||");
+          if (keys.has(key)) collisions++;
+          else keys.add(key);
+          if (parts.some((part) => !isNaN(part) && !Number.isInteger(+part))) {
+            fractional++;
+          }
+        }
+      }
+      return { keys, empty, collisions, fractional };
+    };
+
+    const side1 = scan(values1, rowCount1);
+    const side2 = scan(values2, rowCount2);
+    const rows = rowCount1 + rowCount2;
+    const uniqueness = (side1.keys.size + side2.keys.size) / rows;
+    const nullRate = (side1.empty + side2.empty) / rows;
+    const stability =
+      rowCount1 > 0 && rowCount2 > 0 ? jaccard(side1.keys, side2.keys) : null;
+    const nameHint = columns.some((col) => KEY_NAME_HINT.test(col));
+    const filled = rows - side1.empty - side2.empty;
+    const measureRate =
+      filled > 0 ? (side1.fractional + side2.fractional) / filled : 0;
+
+    return {
+      columns,
+      uniqueness,
+      nullRate,
+      stability,
+      collisions: side1.collisions + side2.collisions,
+      empty: side1.empty + side2.empty,
+      nameHint,
+      measureRate,
+      unique: uniqueness === 1,
+      // Prefer fewer columns when candidates are otherwise equal
+      score:
+        0.5 * uniqueness +
+        0.2 * (1 - nullRate) +
+        0.2 * (stability === null ? 1 : stability) +
+        (nameHint ? 0.1 : 0) -
+        0.3 * measureRate -
+        0.05 * (columns.length - 1),
+    };
+  }
+
+  // Picks the key for a sheet from samples of both files. Returns
+  // { keyCol, method: "user"|"auto"|"none", candidates, collisions }, where
+  // candidates lists the selected key (if any) followed by the runners-up
+  detectKey(data1, data2, sheetName) {
+    const detection = {
+      keyCol: null,
+      method: "none",
+      candidates: [],
+      collisions: 0,
+    };
+    if (data1.length === 0 && data2.length === 0) return detection;
+
+    const sample = data1.length > 0 ? data1 : data2;
+    const score = (columns) => {
+      const values1 = this.keyColumnValues(data1, columns, sheetName);
+      const values2 = this.keyColumnValues(data2, columns, sheetName);
+      return this.scoreKeyCandidate(
+        columns,
+        values1,
+        values2,
+        data1.length,
+        data2.length
+      );
+    };
+    const select = (candidate, others) => {
+      detection.candidates = [
+        { ...candidate, selected: true },
+        ...others.filter((c) => c !== candidate).slice(0, KEY_RUNNERS_UP),
+      ];
+      detection.collisions = candidate.collisions;
+      if (candidate.collisions > 0 || candidate.empty > 0) {
+        this.log(
+          `Key for '${sheetName}' is not unique: ${candidate.collisions} colliding and ${candidate.empty} empty keys, see Duplicates`,
+          "warn"
+        );
+      }
+      return detection;
+    };
+
+    // Check user-specified keys
+    const userKeys = this.keyColumns[sheetName] || this.keyColumns["*"];
+    if (userKeys) {
+      const keys = userKeys.map((col) => this.normalizeColumnName(col));
+      const missing = keys.filter(
+        (col) => !(col in sample[0]) || (data2.length > 0 && !(col in data2[0]))
+      );
+      if (missing.length === 0) {
+        this.log(
+          `Using user-specified key columns for '${sheetName}': ${keys.join(
+            ", "
+          )}`
+        );
+        detection.keyCol = keys;
+        detection.method = "user";
+        return select(score(keys), []);
+      }
+      this.handleWarning(
+        new KeyNotFoundError(
+          `Key column(s) ${missing.join(
+            ", "
+          )} not found in sheet '${sheetName}', detecting a key instead`,
+          { sheetName, columns: missing }
+        )
+      );
+    }
+
+    // Candidates must exist in both files
+    const columns = Object.keys(sample[0]).filter(
+      (col) =>
+        this.isColumnCompared(sheetName, col) &&
+        (data1.length === 0 || col in data1[0]) &&
+        (data2.length === 0 || col in data2[0])
+    );
+    const values1 = this.keyColumnValues(data1, columns, sheetName);
+    const values2 = this.keyColumnValues(data2, columns, sheetName);
+    const scoreColumns = (cols) =>
+      this.scoreKeyCandidate(
+        cols,
+        values1,
+        values2,
+        data1.length,
+        data2.length
+      );
+    const byScore = (a, b) => b.score - a.score;
+
+    const singles = columns.map((col) => scoreColumns([col])).sort(byScore);
+    let candidates = singles;
+
+    // Composite keys are built from the best mostly filled columns
+    if (!singles.some((c) => c.unique)) {
+      const parts = singles
+        .filter((c) => c.nullRate < 0.5)
+        .slice(0, KEY_COMPOSITE_COLUMNS)
+        .map((c) => c.columns[0]);
+      const composites = [];
+      parts.forEach((a, i) => {
+        parts.slice(i + 1).forEach((b, j) => {
+          composites.push(scoreColumns([a, b]));
+          parts
+            .slice(i + j + 2)
+            .forEach((c) => composites.push(scoreColumns([a, b, c])));
+        });
+      });
+      candidates = [...singles, ...composites].sort(byScore);
+    }
+
+    // A truly unique key wins; failing that a near-unique one is used and
+    // its collisions are flagged
+    const best =
+      candidates.find((c) => c.unique) ||
+      candidates.find((c) => c.uniqueness >= KEY_MIN_UNIQUENESS);
+    if (!best) {
+      detection.candidates = candidates.slice(0, KEY_RUNNERS_UP);
+      this.log(
+        `No unique key found for '${sheetName}', using full-row comparison`,
+        "warn"
+      );
+      return detection;
+    }
+
+    detection.method = "auto";
+    if (best.columns.length === 1) {
+      detection.keyCol = best.columns[0];
+      this.log(
+        `Auto-detected key column for '${sheetName}': ${best.columns[0]}`
+      );
+    } else {
+      detection.keyCol = best.columns;
+      this.log(
+        `Using composite key for '${sheetName}': ${best.columns.join(", ")}`
+      );
+    }
+    return select(best, candidates);
+  }
+
+  detectKeyColumn(data, sheetName, data2 = []) {
+    return this.detectKey(data, data2, sheetName).keyCol;
+  }
+
+  resolveColumnSettings(settings, sheetName, col) {
+    // Most specific wins: sheet + column, sheet + "*", "*" + column, "*" + "*"
+    const lookup = (sheetSettings) => {
+      if (!sheetSettings) return [{}, {}];
+      const byColumn = {};
+      Object.entries(sheetSettings).forEach(([name, value]) => {
+        if (name !== "*") byColumn[this.normalizeColumnName(name)] = value;
+      });
+      return [sheetSettings["*"] || {}, byColumn[col] || {}];
+    };
+
+    const [allSheetsDefault, allSheetsColumn] = lookup(settings["*"]);
+    const [sheetDefault, sheetColumn] = lookup(
+      sheetName === null ? null : settings[sheetName]
+    );
+    return {
+      ...allSheetsDefault,
+      ...allSheetsColumn,
+      ...sheetDefault,
+      ...sheetColumn,
+    };
+  }
+
+  getComparisonRule(sheetName, col) {
+    return this.resolveColumnSettings(this.comparisonRules, sheetName, col);
+  }
+
+  valuesEqual(val1, val2, rule) {
+    if (val1 === val2) return true;
+
+    if (rule.dateGranularity) {
+      const date1 = parseDateValue(val1, rule.timezone);
+      const date2 = parseDateValue(val2, rule.timezone);
+      if (date1 !== null && date2 !== null) {
+        // Truncate both to the granularity in the rule's timezone
+        const unit = DATE_GRANULARITY_MS[rule.dateGranularity];
+        const bucket = (millis) =>
+          Math.floor(
+            (millis + timezoneOffsetMinutes(rule.timezone, millis) * 60000) /
+              unit
+          );
+        return bucket(date1) === bucket(date2);
+      }
+    }
+
+    const hasNumericRule =
+      rule.decimals !== undefined ||
+      rule.absoluteTolerance !== undefined ||
+      rule.relativeTolerance !== undefined;
+
+    if (hasNumericRule) {
+      let num1 = parseNumber(val1);
+      let num2 = parseNumber(val2);
+      if (num1 !== null && num2 !== null) {
+        if (rule.decimals !== undefined) {
+          num1 = _.round(num1, rule.decimals);
+          num2 = _.round(num2, rule.decimals);
+        }
+        const diff = Math.abs(num1 - num2);
+        // Allow for floating point noise when comparing against a tolerance
+        const epsilon = 1e-12;
+        if (diff <= epsilon) return true;
+        if (
+          rule.absoluteTolerance !== undefined &&
+          diff - rule.absoluteTolerance <= epsilon
+        ) {
+          return true;
+        }
+        if (
+          rule.relativeTolerance !== undefined &&
+          diff -
+            rule.relativeTolerance * Math.max(Math.abs(num1), Math.abs(num2)) <=
+            epsilon
+        ) {
+          return true;
+        }
+      }
+    }
+
+    return false;
+  }
+
+  describeComparisonRules(sheetName, columns) {
+    const describe = (rule) => {
+      const parts = [];
+      if (rule.absoluteTolerance !== undefined) {
+        parts.push(`±${rule.absoluteTolerance}`);
+      }
+      if (rule.relativeTolerance !== undefined) {
+        parts.push(`±${rule.relativeTolerance * 100}%`);
+      }
+      if (rule.decimals !== undefined) {
+        parts.push(`rounded to ${rule.decimals} decimals`);
+      }
+      if (rule.dateGranularity) {
+        parts.push(`same ${rule.dateGranularity} (${rule.timezone || "UTC"})`);
+      }
+      return parts.join(", ");
+    };
+
+    return columns
+      .map((col) => [col, describe(this.getComparisonRule(sheetName, col))])
+      .filter(([, description]) => description !== "")
+      .map(([col, description]) => `${col}: ${description}`)
+      .join("; ");
+  }
+
+  createRowHash(row, keyCol, sheetName = null) {
+    const normalizeCol = (col) => this.recordValue(row, col, sheetName);
+
+    if (Array.isArray(keyCol)) {
+      // Composite key
+      return keyCol.map(normalizeCol).join("||");
+    } else if (keyCol === null) {
+      // Full row hash
+      return Object.keys(row)
+        .filter((col) => this.isColumnCompared(sheetName, col))
+        .map(normalizeCol)
+        .join("||");
+    } else {
+      // Single key
+      return normalizeCol(keyCol);
+    }
+  }
+
+  findMappedSheets(sheetNames1, sheetNames2) {
+    const pairs = [];
+
+    sheetNames1.forEach((sheetName) => {
+      // The first mapping that matches a sheet wins
+      const mapping = this.sheetMappings.find((m) =>
+        m.compiled.regex.test(sheetName)
+      );
+      if (!mapping) return;
+
+      const target = expandSheetTarget(
+        sheetName,
+        mapping.compiled,
+        mapping.new
+      );
+      if (!sheetNames2.includes(target)) {
+        this.log(
+          `Mapped sheet '${target}' for '${sheetName}' not found in ${path.basename(
+            this.file2Path
+          )}`,
+          "warn"
+        );
+        return;
+      }
+      this.log(`Mapped sheet: '${sheetName}' -> '${target}'`);
+      pairs.push({ sheetName, sheetNameFile2: target });
+    });
+
+    return pairs;
+  }
+
+  resolveSheetPairs(sheetNames1, sheetNames2, mappedPairs) {
+    const sameFile =
+      path.resolve(this.file1Path) === path.resolve(this.file2Path);
+    const pairs = [];
+
+    (this.sheets || sheetNames1).forEach((sheetName) => {
+      const mapped = mappedPairs.filter((p) => p.sheetName === sheetName);
+      if (mapped.length > 0) {
+        pairs.push(...mapped);
+        return;
+      }
+
+      const renamedTab = this.tabChanges.renamed.find(
+        (r) => r.oldName === sheetName
+      );
+      if (renamedTab) {
+        pairs.push({ sheetName, sheetNameFile2: renamedTab.newName });
+      } else if (
+        this.sheets ||
+        (!sameFile && sheetNames2.includes(sheetName))
+      ) {
+        // Comparing a tab with itself is only skipped when picked implicitly
+        pairs.push({ sheetName, sheetNameFile2: sheetName });
+      }
+    });
+
+    return pairs;
+  }
+
+  detectTabChanges(sheetNames1, sheetNames2, mappedPairs = []) {
+    // Tabs paired by a sheet mapping are neither added nor removed
+    let added = sheetNames2.filter(
+      (name) =>
+        !sheetNames1.includes(name) &&
+        !mappedPairs.some((p) => p.sheetNameFile2 === name)
+    );
+    let removed = sheetNames1.filter(
+      (name) =>
+        !sheetNames2.includes(name) &&
+        !mappedPairs.some((p) => p.sheetName === name)
+    );
+    let renamed = [];
+
+    if (this.matchRenamedTabs && added.length > 0 && removed.length > 0) {
+      renamed = this.findRenamedTabs(removed, added);
+      added = added.filter((name) => !renamed.some((r) => r.newName === name));
+      removed = removed.filter(
+        (name) => !renamed.some((r) => r.oldName === name)
+      );
+    }
+
+    if (added.length > 0) this.log(`Tabs added: ${added.join(", ")}`);
+    if (removed.length > 0) this.log(`Tabs removed: ${removed.join(", ")}`);
+    renamed.forEach((r) => {
+      this.log(
+        `Tab renamed: '${r.oldName}' -> '${r.newName}' (${Math.round(
+          r.similarity * 100
+        )}% similar)`
+      );
+    });
+
+    return {
+      tabCountFile1: sheetNames1.length,
+      tabCountFile2: sheetNames2.length,
+      added,
+      removed,
+      renamed,
+      mapped: mappedPairs.map((p) => ({
+        oldName: p.sheetName,
+        newName: p.sheetNameFile2,
+      })),
+    };
+  }
+
+  findRenamedTabs(removed, added) {
+    // Score every removed/added pair, then greedily take the best matches
+    const candidates = [];
+    removed.forEach((oldName) => {
+      added.forEach((newName) => {
+        const similarity = this.tabSimilarity(oldName, newName);
+        if (similarity >= this.renamedTabThreshold) {
+          candidates.push({ oldName, newName, similarity });
+        }
+      });
+    });
+
+    candidates.sort((a, b) => b.similarity - a.similarity);
+
+    const renamed = [];
+    candidates.forEach((candidate) => {
+      const taken = renamed.some(
+        (r) => r.oldName === candidate.oldName || r.newName === candidate.newName
+      );
+      if (!taken) renamed.push(candidate);
+    });
+
+    return renamed;
+  }
+
+  tabSimilarity(oldName, newName) {
+    // Streaming mode only has the first rows of each sheet to go on
+    const data1 = this.streamState
+      ? this.streamedSheet(0, oldName).sample
+      : this.readSheet(this.file1Path, oldName);
+    const data2 = this.streamState
+      ? this.streamedSheet(1, newName).sample
+      : this.readSheet(this.file2Path, newName);
+    if (data1.length === 0 || data2.length === 0) return 0;
+
+    // Average of header overlap and full-row overlap
+    const columnScore = jaccard(Object.keys(data1[0]), Object.keys(data2[0]));
+    const rowScore = jaccard(
+      data1.map((row) => this.createRowHash(row, null)),
+      data2.map((row) => this.createRowHash(row, null))
+    );
+    return (columnScore + rowScore) / 2;
+  }
+
+  compareSchema(data1, data2, sheetName = null) {
+    const columnsOf = (data) =>
+      data.length > 0
+        ? Object.keys(data[0]).filter((col) =>
+            this.isColumnCompared(sheetName, col)
+          )
+        : [];
+    const cols1 = columnsOf(data1);
+    const cols2 = columnsOf(data2);
+
+    let added = cols2.filter((col) => !cols1.includes(col));
+    let removed = cols1.filter((col) => !cols2.includes(col));
+    const renamed = this.findRenamedColumns(removed, added, data1, data2);
+
+    added = added.filter((col) => !renamed.some((r) => r.newName === col));
+    removed = removed.filter((col) => !renamed.some((r) => r.oldName === col));
+
+    // Columns present in both files, with renamed columns under their old name
+    const toOldName = (col) => {
+      const match = renamed.find((r) => r.newName === col);
+      return match ? match.oldName : col;
+    };
+    const common1 = cols1.filter((col) => !removed.includes(col));
+    const common2 = cols2.filter((col) => !added.includes(col)).map(toOldName);
+
+    // Columns outside the longest common ordering are the ones that moved
+    const stable = longestCommonSubsequence(common1, common2);
+    const reordered = common1
+      .filter((col) => !stable.includes(col))
+      .map((col) => {
+        const match = renamed.find((r) => r.oldName === col);
+        return {
+          column: match ? match.newName : col,
+          oldPosition: cols1.indexOf(col) + 1,
+          newPosition: cols2.indexOf(match ? match.newName : col) + 1,
+        };
+      });
+
+    return { added, removed, renamed, reordered };
+  }
+
+  findRenamedColumns(removed, added, data1, data2) {
+    if (removed.length === 0 || added.length === 0) return [];
+
+    const columnValues = (data, col) =>
+      data.map((row) => row[col]).filter((v) => v !== "");
+
+    // Score by header similarity and overlap of the column values
+    const candidates = [];
+    removed.forEach((oldName) => {
+      const values1 = columnValues(data1, oldName);
+      added.forEach((newName) => {
+        const values2 = columnValues(data2, newName);
+        const similarity =
+          (headerSimilarity(oldName, newName) + jaccard(values1, values2)) / 2;
+        if (similarity >= this.renamedColumnThreshold) {
+          candidates.push({ oldName, newName, similarity });
+        }
+      });
+    });
+
+    candidates.sort((a, b) => b.similarity - a.similarity);
+
+    const renamed = [];
+    candidates.forEach((candidate) => {
+      const taken = renamed.some(
+        (r) => r.oldName === candidate.oldName || r.newName === candidate.newName
+      );
+      if (!taken) renamed.push(candidate);
+    });
+
+    return renamed;
+  }
+
+  hasSchemaChanges(schemaChanges) {
+    return (
+      schemaChanges.added.length > 0 ||
+      schemaChanges.removed.length > 0 ||
+      schemaChanges.renamed.length > 0 ||
+      schemaChanges.reordered.length > 0
+    );
+  }
+
+  // Pairs the rows of both files by key. Rows sharing a key are paired
+  // identical rows first, then on the secondary key columns, then in order
+  // of appearance; rows left over are deleted or new records. Returns
+  // { pairs: [[row1, row2]], deleted, added, duplicateGroups }, with a
+  // { key, rowsFile1, rowsFile2 } group for each key repeated in a file
+  matchRecords(data1, data2, keyCol, sheetName = null) {
+    const group = (data) => {
+      const groups = new Map();
+      data.forEach((row) => {
+        const key = this.createRowHash(row, keyCol, sheetName);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+      });
+      return groups;
+    };
+    const groups1 = group(data1);
+    const groups2 = group(data2);
+
+    const pairs = [];
+    const duplicateGroups = [];
+    groups1.forEach((rows1, key) => {
+      const rows2 = groups2.get(key) || [];
+      if (rows1.length > 1 || rows2.length > 1) {
+        duplicateGroups.push({ key, rowsFile1: rows1, rowsFile2: rows2 });
+      }
+      pairs.push(...this.pairDuplicateRows(rows1, rows2, sheetName));
+    });
+    groups2.forEach((rows2, key) => {
+      if (!groups1.has(key) && rows2.length > 1) {
+        duplicateGroups.push({ key, rowsFile1: [], rowsFile2: rows2 });
+      }
+    });
+
+    const matched = new Set(pairs.flat());
+    let deleted = data1.filter((row) => !matched.has(row));
+    let added = data2.filter((row) => !matched.has(row));
+
+    // Keys that differ only within the comparison rules of the key columns
+    const tolerated = this.pairKeysByRules(deleted, added, keyCol, sheetName);
+    if (tolerated.length > 0) {
+      const paired = new Set(tolerated.flat());
+      deleted = deleted.filter((row) => !paired.has(row));
+      added = added.filter((row) => !paired.has(row));
+      pairs.push(...tolerated);
+      pairs.sort((a, b) => a[0][ROW_NUMBER] - b[0][ROW_NUMBER]);
+    }
+
+    return { pairs, deleted, added, duplicateGroups };
+  }
+
+  // Pairs rows left over by matchRecords() whose key values are equal under
+  // the comparison rules of the key columns, such as 10 and 10.0004 within
+  // ±0.001. Each old row takes the first new row that agrees on every key
+  // column
+  pairKeysByRules(deleted, added, keyCol, sheetName = null) {
+    if (keyCol === null || deleted.length === 0 || added.length === 0) {
+      return [];
+    }
+    const keyColumns = Array.isArray(keyCol) ? keyCol : [keyCol];
+    if (this.describeComparisonRules(sheetName, keyColumns) === "") return [];
+    if (deleted.length * added.length > FUZZY_FULL_SCAN_PAIRS) {
+      this.log(
+        `Too many unmatched keys in '${sheetName}' to apply comparison rules to them`,
+        "warn"
+      );
+      return [];
+    }
+
+    const rules = keyColumns.map((col) =>
+      this.getComparisonRule(sheetName, col)
+    );
+    const keyValues = (row) =>
+      keyColumns.map((col) => this.recordValue(row, col, sheetName));
+    const remaining = added.map((row) => [row, keyValues(row)]);
+    const pairs = [];
+    deleted.forEach((row1) => {
+      const values1 = keyValues(row1);
+      const index = remaining.findIndex(([, values2]) =>
+        values1.every((value, k) =>
+          this.valuesEqual(value, values2[k], rules[k])
+        )
+      );
+      if (index !== -1) pairs.push([row1, remaining.splice(index, 1)[0][0]]);
+    });
+    return pairs;
+  }
+
+  // Pairs rows that share a key, as described in matchRecords()
+  pairDuplicateRows(rows1, rows2, sheetName = null) {
+    if (rows2.length === 0) return [];
+    if (rows1.length === 1 && rows2.length === 1) return [[rows1[0], rows2[0]]];
+
+    const remaining = [...rows2];
+    const pairs = [];
+    const pairBy = (rows, hash) =>
+      rows.filter((row1) => {
+        const target = hash(row1);
+        const index = remaining.findIndex((row2) => hash(row2) === target);
+        if (index === -1) return true;
+        pairs.push([row1, remaining.splice(index, 1)[0]]);
+        return false;
+      });
+
+    let unpaired = pairBy(rows1, (row) =>
+      this.createRowHash(row, null, sheetName)
+    );
+    const secondary = this.getSecondaryKeyColumns(sheetName);
+    if (secondary.length > 0) {
+      unpaired = pairBy(unpaired, (row) =>
+        this.createRowHash(row, secondary, sheetName)
+      );
+    }
+    unpaired.slice(0, remaining.length).forEach((row1, i) => {
+      pairs.push([row1, remaining[i]]);
+    });
+    return pairs;
+  }
+
+  getSecondaryKeyColumns(sheetName) {
+    const columns =
+      this.secondaryKeyColumns[sheetName] || this.secondaryKeyColumns["*"];
+    return (columns || []).map((col) => this.normalizeColumnName(col));
+  }
+
+  // The find*Records() methods take the matchRecords() result for the
+  // same rows as match, so that it is worked out once for all three
+  findNewRecords(data1, data2, keyCol, sheetName = null, match = null) {
+    if (data2.length === 0) return [];
+    if (data1.length === 0) return data2;
+    return (match || this.matchRecords(data1, data2, keyCol, sheetName)).added;
+  }
+
+  findDeletedRecords(data1, data2, keyCol, sheetName = null, match = null) {
+    if (data1.length === 0) return [];
+    if (data2.length === 0) return data1;
+    return (match || this.matchRecords(data1, data2, keyCol, sheetName))
+      .deleted;
+  }
+
+  findModifiedRecords(
+    data1,
+    data2,
+    keyCol,
+    schemaChanges = null,
+    sheetName = null,
+    match = null
+  ) {
+    const { pairs } =
+      match || this.matchRecords(data1, data2, keyCol, sheetName);
+    return this.diffMatchedPairs(pairs, keyCol, schemaChanges, sheetName);
+  }
+
+  diffMatchedPairs(pairs, keyCol, schemaChanges = null, sheetName = null) {
+    if (pairs.length === 0) {
+      return {
+        records: [],
+        columnChanges: {},
+        toleratedDifferences: 0,
+        numberFormatChanges: [],
+        formulaChanges: [],
+      };
+    }
+
+    const columnPairs = this.modifiedColumnPairs(
+      pairs[0][0],
+      pairs[0][1],
+      schemaChanges
+    );
+    const modifiedRecords = [];
+    const stats = {
+      columnChanges: {},
+      toleratedDifferences: 0,
+      numberFormatChanges: [],
+      formulaChanges: [],
+      rules: {},
+    };
+
+    pairs.forEach(([row1, row2]) => {
+      const changes = this.diffRowPair(
+        row1,
+        row2,
+        columnPairs,
+        sheetName,
+        stats
+      );
+
+      if (changes) {
+        // Add key information
+        if (Array.isArray(keyCol)) {
+          keyCol.forEach((col) => {
+            changes[col] = row1[col];
+          });
+        } else if (keyCol) {
+          changes[keyCol] = row1[keyCol];
+        }
+
+        modifiedRecords.push(changes);
+      }
+    });
+
+    return {
+      records: modifiedRecords,
+      columnChanges: stats.columnChanges,
+      toleratedDifferences: stats.toleratedDifferences,
+      numberFormatChanges: stats.numberFormatChanges,
+      formulaChanges: stats.formulaChanges,
+    };
+  }
+
+  // Columns to compare as [oldCol, newCol] pairs, pairing renamed columns
+  // old -> new. Added and removed columns are compared against blanks
+  // unless schema-only differences are excluded. Returns null to compare
+  // every column of each row pair
+  modifiedColumnPairs(row1, row2, schemaChanges) {
+    if (!schemaChanges) return null;
+    const renamed = new Map(
+      schemaChanges.renamed.map((r) => [r.oldName, r.newName])
+    );
+    const pairs = Object.keys(row1)
+      .filter(
+        (col) =>
+          !this.excludeSchemaChanges || !schemaChanges.removed.includes(col)
+      )
+      .map((col) => [col, renamed.has(col) ? renamed.get(col) : col]);
+    if (this.excludeSchemaChanges) return pairs;
+
+    const paired = new Set(pairs.map(([, col]) => col));
+    Object.keys(row2)
+      .filter((col) => !paired.has(col))
+      .forEach((col) => pairs.push([col, col]));
+    return pairs;
+  }
+
+  // How the formula behind a cell changed, or null. Formulas compare by
+  // their relative form; a blank cell gaining or losing a formula is left
+  // to the value diff
+  formulaChangeType(formula1, formula2, val1, val2) {
+    if (formula1 && formula2) {
+      return formula1.relative !== formula2.relative ? "Formula changed" : null;
+    }
+    if (formula1 && val2 !== "") return "Formula replaced by constant";
+    if (formula2 && val1 !== "") return "Constant replaced by formula";
+    return null;
+  }
+
+  // Cell-level diff of two matched rows. Returns the modified record, with
+  // its changes under CHANGES, or null when they agree; change counts are
+  // added to stats
+  diffRowPair(row1, row2, columnPairs, sheetName, stats) {
+    const changes = [];
+
+    // Get all columns from both rows
+    const pairs =
+      columnPairs ||
+      [...new Set([...Object.keys(row1), ...Object.keys(row2)])].map((col) => [
+        col,
+        col,
+      ]);
+
+    pairs.forEach(([oldCol, col]) => {
+      if (
+        !this.isColumnCompared(sheetName, oldCol) ||
+        !this.isColumnCompared(sheetName, col)
+      ) {
+        return;
+      }
+
+      const val1 = this.recordValue(row1, oldCol, sheetName);
+      const val2 = this.recordValue(row2, col, sheetName);
+
+      if (row1[FORMULAS] && row2[FORMULAS]) {
+        const changeType = this.formulaChangeType(
+          row1[FORMULAS][oldCol],
+          row2[FORMULAS][col],
+          val1,
+          val2
+        );
+        if (changeType) {
+          stats.formulaChanges.push({
+            column: col,
+            changeType,
+            oldFormula: (row1[FORMULAS][oldCol] || {}).text || "",
+            newFormula: (row2[FORMULAS][col] || {}).text || "",
+            oldValue: displayValue(row1[oldCol]),
+            newValue: displayValue(row2[col]),
+            [OLD_ROW_NUMBER]: row1[ROW_NUMBER],
+            [ROW_NUMBER]: row2[ROW_NUMBER],
+          });
+        }
+      }
+
+      if (val1 === val2) {
+        const formats1 = row1[NUMBER_FORMATS];
+        const formats2 = row2[NUMBER_FORMATS];
+        if (
+          formats1 &&
+          formats2 &&
+          val1 !== "" &&
+          formats1[oldCol] !== formats2[col]
+        ) {
+          stats.numberFormatChanges.push({
+            column: col,
+            value: displayValue(row2[col]),
+            oldFormat: formats1[oldCol],
+            newFormat: formats2[col],
+            [OLD_ROW_NUMBER]: row1[ROW_NUMBER],
+            [ROW_NUMBER]: row2[ROW_NUMBER],
+          });
+        }
+      } else {
+        if (!(col in stats.rules)) {
+          stats.rules[col] = this.getComparisonRule(sheetName, col);
+        }
+        if (this.valuesEqual(val1, val2, stats.rules[col])) {
+          stats.toleratedDifferences++;
+          return;
+        }
+
+        // Only add if values are not empty
+        if (val1 !== "" || val2 !== "") {
+          changes.push({ column: col, oldValue: val1, newValue: val2 });
+          stats.columnChanges[col] = (stats.columnChanges[col] || 0) + 1;
+        }
+      }
+    });
+
+    if (changes.length === 0) return null;
+    return {
+      [CHANGES]: changes,
+      [OLD_ROW_NUMBER]: row1[ROW_NUMBER],
+      [ROW_NUMBER]: row2[ROW_NUMBER],
+      [OLD_ROW]: row1,
+      [NEW_ROW]: row2,
+    };
+  }
+
+  getColumnWeight(sheetName, col) {
+    const { weight } = this.resolveColumnSettings(
+      this.columnWeights,
+      sheetName,
+      col
+    );
+    return weight === undefined ? 1 : weight;
+  }
+
+  // Weighted share of the compared columns on which two rows agree, with
+  // partial credit for near numbers and similar text
+  rowSimilarity(row1, row2, columnPairs, sheetName, rules) {
+    const pairs =
+      columnPairs ||
+      [...new Set([...Object.keys(row1), ...Object.keys(row2)])].map((col) => [
+        col,
+        col,
+      ]);
+    let total = 0;
+    let score = 0;
+
+    pairs.forEach(([oldCol, col]) => {
+      if (
+        !this.isColumnCompared(sheetName, oldCol) ||
+        !this.isColumnCompared(sheetName, col)
+      ) {
+        return;
+      }
+      const weight = this.getColumnWeight(sheetName, col);
+      if (weight <= 0) return;
+
+      const val1 = this.recordValue(row1, oldCol, sheetName);
+      const val2 = this.recordValue(row2, col, sheetName);
+      if (!(col in rules)) rules[col] = this.getComparisonRule(sheetName, col);
+
+      let similarity;
+      if (val1 === val2 || this.valuesEqual(val1, val2, rules[col])) {
+        similarity = 1;
+      } else if (val1 === "" || val2 === "") {
+        similarity = 0;
+      } else {
+        const num1 = parseNumber(val1);
+        const num2 = parseNumber(val2);
+        similarity =
+          num1 !== null && num2 !== null
+            ? Math.max(
+                0,
+                1 -
+                  Math.abs(num1 - num2) /
+                    Math.max(Math.abs(num1), Math.abs(num2))
+              )
+            : stringSimilarity(val1, val2);
+      }
+
+      total += weight;
+      score += weight * similarity;
+    });
+
+    return total === 0 ? 0 : score / total;
+  }
+
+  // Pairs deleted and new rows of a sheet without a key by similarity,
+  // best pairs first, so edited rows become modified records. Small sheets
+  // compare every pair, larger ones only likely candidates
+  async matchSimilarRecords(
+    deleted,
+    added,
+    schemaChanges,
+    sheetName,
+    signal = null
+  ) {
+    const stats = {
+      columnChanges: {},
+      toleratedDifferences: 0,
+      numberFormatChanges: [],
+      formulaChanges: [],
+      rules: {},
+    };
+    const result = {
+      records: [],
+      pairs: [],
+      matchedOld: new Set(),
+      matchedNew: new Set(),
+      stats,
+    };
+    if (deleted.length === 0 || added.length === 0) return result;
+
+    const columnPairs = this.modifiedColumnPairs(
+      deleted[0],
+      added[0],
+      schemaChanges
+    );
+    let candidatesOf = () => added.map((_row, j) => j);
+    if (deleted.length * added.length > FUZZY_FULL_SCAN_PAIRS) {
+      // Rows are candidates when they share an uncommon value or agree on
+      // every column but one
+      const blockingKeys = (row) => {
+        const cols = Object.keys(row)
+          .filter((col) => this.isColumnCompared(sheetName, col))
+          .sort();
+        const values = cols.map((col) => this.recordValue(row, col, sheetName));
+        const keys = [];
+        cols.forEach((col, c) => {
+          if (values[c] !== "") keys.push(`${col}\u0000${values[c]}`);
+          keys.push(
+            `${col}\u0001${values.filter((_v, k) => k !== c).join("\u0000")}`
+          );
+        });
+        return keys;
+      };
+      const index = new Map();
+      added.forEach((row, j) => {
+        blockingKeys(row).forEach((key) => {
+          if (!index.has(key)) index.set(key, []);
+          index.get(key).push(j);
+        });
+      });
+      candidatesOf = (row) => {
+        const candidates = new Set();
+        blockingKeys(row).forEach((key) => {
+          const bucket = index.get(key);
+          if (bucket && bucket.length <= FUZZY_BUCKET_LIMIT) {
+            bucket.forEach((j) => candidates.add(j));
+          }
+        });
+        return [...candidates];
+      };
+    }
+
+    // Scores CHUNK_ROWS pairs at a time
+    const pairs = [];
+    let scored = 0;
+    for (let i = 0; i < deleted.length; i++) {
+      candidatesOf(deleted[i]).forEach((j) => {
+        const similarity = this.rowSimilarity(
+          deleted[i],
+          added[j],
+          columnPairs,
+          sheetName,
+          stats.rules
+        );
+        if (similarity >= this.fuzzyThreshold) pairs.push([i, j, similarity]);
+        scored++;
+      });
+      if (scored >= CHUNK_ROWS || i === deleted.length - 1) {
+        scored = 0;
+        if (signal) signal.throwIfAborted();
+        this.emit("progress", {
+          sheetName,
+          phase: "match",
+          rowsProcessed: i + 1,
+          totalRows: deleted.length,
+        });
+        await yieldToEventLoop();
+      }
+    }
+    pairs.sort((a, b) => b[2] - a[2] || a[0] - b[0] || a[1] - b[1]);
+
+    pairs.forEach(([i, j, similarity]) => {
+      if (result.matchedOld.has(i) || result.matchedNew.has(j)) return;
+      result.matchedOld.add(i);
+      result.matchedNew.add(j);
+      result.pairs.push([deleted[i], added[j]]);
+      const changes = this.diffRowPair(
+        deleted[i],
+        added[j],
+        columnPairs,
+        sheetName,
+        stats
+      );
+      if (changes) {
+        changes[MATCH_SIMILARITY] = similarity;
+        result.records.push(changes);
+      }
+    });
+
+    return result;
+  }
+
+  findDuplicates(data, keyCol, sheetName = null) {
+    if (data.length === 0) return [];
+
+    const keyMap = new Map();
+
+    data.forEach((row) => {
+      const key = this.createRowHash(row, keyCol, sheetName);
+      if (!keyMap.has(key)) {
+        keyMap.set(key, []);
+      }
+      keyMap.get(key).push(row);
+    });
+
+    const duplicates = [];
+    keyMap.forEach((rows, key) => {
+      if (rows.length > 1) {
+        duplicates.push(...rows);
+      }
+    });
+
+    return duplicates;
+  }
+
+  // Resolves with this.results. An aborted signal stops the comparison at
+  // the next sheet, chunk of rows or streamed row and rejects with its
+  // reason
+  async compareSheets({ signal = null } = {}) {
+    if (this.streaming) return this.compareSheetsStreaming({ signal });
+
+    this.log(
+      `Starting comparison: ${path.basename(this.file1Path)} vs ${path.basename(
+        this.file2Path
+      )}`
+    );
+    if (signal) signal.throwIfAborted();
+
+    let sheetNames1;
+    let sheetNames2;
+    try {
+      sheetNames1 = this.loadWorkbook(this.file1Path).SheetNames;
+      sheetNames2 = this.loadWorkbook(this.file2Path).SheetNames;
+    } catch (error) {
+      if (!(error instanceof ParseError)) throw error;
+      this.handleError(error);
+      return this.results;
+    }
+    const mappedPairs = this.findMappedSheets(sheetNames1, sheetNames2);
+
+    await this.compareSheetPairs(
+      sheetNames1,
+      sheetNames2,
+      mappedPairs,
+      async (sheetName, sheetNameFile2) => {
+        const records1 = this.readSheetRecords(this.file1Path, sheetName);
+        const records2 = this.readSheetRecords(
+          this.file2Path,
+          sheetNameFile2,
+          sheetName
+        );
+        const totalRows = records1.length + records2.length;
+        let rowsProcessed = 0;
+        const normalize = async (filePath, name, records) => {
+          const data = await this.normalizeDataInChunks(
+            records,
+            sheetName,
+            (rowCount) => {
+              rowsProcessed += rowCount;
+              this.emit("progress", {
+                sheetName,
+                phase: "read",
+                rowsProcessed,
+                totalRows,
+              });
+            },
+            signal
+          );
+          this.logSheetRead(filePath, name, data);
+          return data;
+        };
+        const data1 = await normalize(this.file1Path, sheetName, records1);
+        const data2 = await normalize(this.file2Path, sheetNameFile2, records2);
+        return {
+          sample1: data1,
+          sample2: data2,
+          rowCount1: data1.length,
+          rowCount2: data2.length,
+          partitions: (keyCol) =>
+            this.partitionRows(data1, data2, keyCol, sheetName, signal),
+        };
+      },
+      signal
+    );
+
+    if (this.compareFormatting) await this.compareWorkbookFormatting(signal);
+
+    return this.results;
+  }
+
+  // Reads both files with ExcelJS and fills in the formattingChanges of
+  // each compared sheet pair
+  async compareWorkbookFormatting(signal = null) {
+    const unsupported = [this.file1Path, this.file2Path].find(
+      (filePath) => this.getInputFormat(filePath) !== "xlsx"
+    );
+    if (unsupported) {
+      this.log(
+        `Formatting is only compared between .xlsx files, skipping it for ${path.basename(
+          unsupported
+        )}`,
+        "warn"
+      );
+      return;
+    }
+
+    const workbooks = new Map();
+    for (const filePath of [this.file1Path, this.file2Path]) {
+      if (signal) signal.throwIfAborted();
+      if (workbooks.has(filePath)) continue;
+      try {
+        workbooks.set(filePath, await readStyledWorkbook(filePath));
+      } catch (error) {
+        this.handleError(
+          new ParseError(`Could not read ${filePath}: ${error.message}`, {
+            filePath,
+            cause: error,
+          })
+        );
+        return;
+      }
+    }
+
+    const styled1 = workbooks.get(this.file1Path);
+    const styled2 = workbooks.get(this.file2Path);
+    for (const result of this.results) {
+      if (signal) signal.throwIfAborted();
+      const worksheet1 = styled1.workbook.getWorksheet(result.sheetName);
+      const worksheet2 = styled2.workbook.getWorksheet(result.sheetNameFile2);
+      if (!worksheet1 || !worksheet2) continue;
+
+      result.formattingChanges = this.diffWorksheetFormatting(
+        worksheet1,
+        worksheet2,
+        styled1.defaultFont,
+        styled2.defaultFont,
+        result.cellPairs
+      );
+      this.log(
+        `Formatting changes in '${this.sheetLabel(result)}': ${
+          result.formattingChanges.length
+        }`
+      );
+      await yieldToEventLoop();
+    }
+  }
+
+  // Lists { address, property, oldValue, newValue } for each style
+  // property or comment that differs between paired cells, and for merged
+  // ranges, data validations and conditional formats that were added,
+  // removed or changed, in sheet order. Cells pair up as cellPairs pairs
+  // their rows and columns (the value diff's record matching or grid
+  // alignment), otherwise by address, and are reported at their new
+  // address. Font attributes a cell does not set are taken from the
+  // default fonts given
+  diffWorksheetFormatting(
+    worksheet1,
+    worksheet2,
+    font1,
+    font2,
+    cellPairs = null
+  ) {
+    const changes = [];
+    const addChange = (address, property, oldValue, newValue) => {
+      if (oldValue === newValue) return;
+      changes.push({
+        address,
+        property,
+        oldValue: displayValue(oldValue),
+        newValue: displayValue(newValue),
+      });
+    };
+    const compareMaps = (map1, map2, property) => {
+      new Set([...map1.keys(), ...map2.keys()]).forEach((address) =>
+        addChange(address, property, map1.get(address), map2.get(address))
+      );
+    };
+
+    // ExcelJS writes "no fill" as a pattern fill of "none"
+    const styleOf = (cell, font) => {
+      const { fill, ...style } = cell ? cell.style : {};
+      if (fill && fill.pattern !== "none") style.fill = fill;
+      style.font = { ...font, ...style.font };
+      return flattenStyle(style);
+    };
+    const noteText = (cell) => {
+      const note = cell && cell.note;
+      if (!note) return undefined;
+      if (typeof note === "string") return note;
+      return (note.texts || []).map((part) => part.text).join("");
+    };
+    // findRow and findCell, unlike getRow and getCell, add nothing to the
+    // worksheet, and the counts include styled empty cells
+    const rowCount = Math.max(worksheet1.rowCount, worksheet2.rowCount);
+    let columnCount = 0;
+    for (let r = 1; r <= rowCount; r++) {
+      [worksheet1.findRow(r), worksheet2.findRow(r)].forEach((row) => {
+        if (row) columnCount = Math.max(columnCount, row.cellCount);
+      });
+    }
+    const rowPairs = completePairs(cellPairs ? cellPairs.rows : [], rowCount);
+    const columnPairs = completePairs(
+      cellPairs ? cellPairs.columns : [],
+      columnCount
+    );
+    for (const [r1, r2] of rowPairs) {
+      const row1 = worksheet1.findRow(r1);
+      const row2 = worksheet2.findRow(r2);
+      if (!row1 && !row2) continue;
+      for (const [c1, c2] of columnPairs) {
+        const cell1 = row1 && row1.findCell(c1);
+        const cell2 = row2 && row2.findCell(c2);
+        if (!cell1 && !cell2) continue;
+        const address = XLSX.utils.encode_cell({ r: r2 - 1, c: c2 - 1 });
+
+        const style1 = styleOf(cell1, font1);
+        const style2 = styleOf(cell2, font2);
+        new Set([...Object.keys(style1), ...Object.keys(style2)]).forEach(
+          (property) =>
+            addChange(address, property, style1[property], style2[property])
+        );
+        addChange(address, "comment", noteText(cell1), noteText(cell2));
+      }
+    }
+
+    const mergesOf = (worksheet) =>
+      new Map(worksheet.model.merges.map((range) => [range, "Merged"]));
+    compareMaps(mergesOf(worksheet1), mergesOf(worksheet2), "merged cells");
+
+    const validationsOf = (worksheet) => {
+      const validations = new Map();
+      Object.entries(worksheet.dataValidations.model).forEach(
+        ([address, validation]) => {
+          if (!validation) return;
+          validations.set(
+            address,
+            [
+              validation.type,
+              validation.operator,
+              (validation.formulae || []).join(", "),
+            ]
+              .filter(Boolean)
+              .join(" ")
+          );
+        }
+      );
+      return validations;
+    };
+    compareMaps(
+      validationsOf(worksheet1),
+      validationsOf(worksheet2),
+      "data validation"
+    );
+
+    // Rules are described without their priority, which Excel renumbers
+    const conditionalFormatsOf = (worksheet) => {
+      const formats = new Map();
+      worksheet.conditionalFormattings.forEach(({ ref, rules }) => {
+        const described = rules.map((rule) =>
+          [
+            rule.type,
+            rule.operator,
+            (rule.formulae || []).join(", "),
+            rule.text,
+            ...Object.entries(flattenStyle(rule.style)).map(
+              ([property, value]) => `${property}=${value}`
+            ),
+          ]
+            .filter(Boolean)
+            .join(" ")
+        );
+        formats.set(
+          ref,
+          [formats.get(ref), ...described].filter(Boolean).join("; ")
+        );
+      });
+      return formats;
+    };
+    compareMaps(
+      conditionalFormatsOf(worksheet1),
+      conditionalFormatsOf(worksheet2),
+      "conditional formatting"
+    );
+
+    return changes
+      .map((change) => ({ change, start: rangeStart(change.address) }))
+      .sort((a, b) => a.start.r - b.start.r || a.start.c - b.start.c)
+      .map(({ change }) => change);
+  }
+
+  // Compares each version in files with the next one, each pair with its
+  // own comparator and this one's options, and builds this.history. Keys
+  // detected for a sheet in one pair are kept for the later pairs, so a
+  // record is followed by the same key throughout
+  async compareVersions({ signal = null } = {}) {
+    if (this.files.length < 2) {
+      throw new Error("compareVersions needs at least two files");
+    }
+
+    const keyColumns = { ...this.keyColumns };
+    const steps = [];
+    for (let i = 1; i < this.files.length; i++) {
+      if (signal) signal.throwIfAborted();
+      const from = this.files[i - 1];
+      const to = this.files[i];
+      this.log(`\n${"#".repeat(60)}`);
+      this.log(`Version ${i + 1} of ${this.files.length}: ${to.label}`);
+      this.log("#".repeat(60));
+
+      const comparator = new ExcelComparator({
+        ...this.config,
+        files: [],
+        file1Path: from.path,
+        file2Path: to.path,
+        file1Label: from.label,
+        file2Label: to.label,
+        keyColumns,
+      });
+      await comparator.compareSheets({ signal });
+      this.errors.push(...comparator.errors);
+      this.warnings.push(...comparator.warnings);
+
+      // The new side of this pair is the old side of the next one
+      comparator.results.forEach((result) => {
+        if (
+          result.keyColumns.length > 0 &&
+          !(result.sheetNameFile2 in keyColumns)
+        ) {
+          keyColumns[result.sheetNameFile2] = result.keyColumns;
+        }
+      });
+      steps.push({ from, to, comparator });
+    }
+
+    this.history = await this.buildHistory(steps, signal);
+    return this.history;
+  }
+
+  // Folds the results of consecutive comparisons into the history of each
+  // key: the version it first appeared in (the first version unless it was
+  // added later), the version it was last removed in and every addition,
+  // removal and cell change by version. Every key of the first version is
+  // listed, with no events if it never changed. Versions are referred to by
+  // their index in files, as labels need not be unique. Sheets are followed
+  // across renames under their name in the first version; sheets without a
+  // key have no history and are listed in skippedSheets
+  async buildHistory(steps, signal = null) {
+    const sheets = new Map();
+    const skippedSheets = new Set();
+    let sheetNames = new Map();
+
+    const recordsOf = (sheetName, keyColumns) => {
+      if (!sheets.has(sheetName)) {
+        sheets.set(sheetName, { sheetName, keyColumns, records: new Map() });
+      }
+      return sheets.get(sheetName).records;
+    };
+    const entryOf = (records, keyColumns, row) => {
+      const key = keyColumns.map((col) => displayValue(row[col])).join(" | ");
+      if (!records.has(key)) {
+        records.set(key, {
+          key,
+          keyValues: _.mapValues(_.pick(row, keyColumns), displayValue),
+          firstSeen: 0,
+          removedIn: null,
+          events: [],
+        });
+      }
+      return records.get(key);
+    };
+
+    // Keys that never change appear in no result, so they are read from
+    // the first version
+    if (steps.length > 0) {
+      const { comparator } = steps[0];
+      const keyed = comparator.results.filter(
+        (result) => result.keyColumns.length > 0
+      );
+      const keyColumnsOf = new Map(
+        keyed.map((result) => [result.sheetName, result.keyColumns])
+      );
+      for await (const [sheetName, row] of comparator.readOldRows(
+        [...keyColumnsOf.keys()],
+        signal
+      )) {
+        const keyColumns = keyColumnsOf.get(sheetName);
+        entryOf(recordsOf(sheetName, keyColumns), keyColumns, row);
+      }
+    }
+
+    const stepSummaries = steps.map(({ comparator }, i) => {
+      const version = i + 1;
+      const nextSheetNames = new Map();
+      const summaries = [];
+
+      comparator.results.forEach((result) => {
+        const sheetName = sheetNames.get(result.sheetName) || result.sheetName;
+        nextSheetNames.set(result.sheetNameFile2, sheetName);
+        summaries.push({
+          sheetName,
+          new: result.newRecords.length,
+          deleted: result.deletedRecords.length,
+          modified: result.modifiedRecords.length,
+        });
+
+        const keyColumns = result.keyColumns;
+        if (keyColumns.length === 0) {
+          skippedSheets.add(sheetName);
+          return;
+        }
+        const records = recordsOf(sheetName, keyColumns);
+        const entryFor = (row) => entryOf(records, keyColumns, row);
+
+        result.newRecords.forEach((row) => {
+          const entry = entryFor(row);
+          if (entry.events.length === 0) entry.firstSeen = version;
+          entry.removedIn = null;
+          entry.events.push({ version, type: "Added", changes: [] });
+        });
+        result.deletedRecords.forEach((row) => {
+          const entry = entryFor(row);
+          entry.removedIn = version;
+          entry.events.push({ version, type: "Removed", changes: [] });
+        });
+        result.modifiedRecords.forEach((record) => {
+          entryFor(record).events.push({
+            version,
+            type: "Modified",
+            changes: record[CHANGES].map((change) => ({
+              column: change.column,
+              oldValue: displayValue(change.oldValue),
+              newValue: displayValue(change.newValue),
+            })),
+          });
+        });
+      });
+
+      sheetNames = nextSheetNames;
+      return {
+        from: version - 1,
+        to: version,
+        hasDifferences: comparator.hasDifferences(),
+        sheets: summaries,
+      };
+    });
+
+    return {
+      versions: this.files.map((file) => ({
+        label: file.label,
+        path: file.path,
+      })),
+      steps: stepSummaries,
+      sheets: [...sheets.values()].map((sheet) => ({
+        sheetName: sheet.sheetName,
+        keyColumns: sheet.keyColumns,
+        // Keys in the order they first appeared, then by key
+        records: [...sheet.records.values()].sort(
+          (a, b) =>
+            a.firstSeen - b.firstSeen ||
+            a.key.localeCompare(b.key, undefined, { numeric: true })
+        ),
+      })),
+      skippedSheets: [...skippedSheets].filter((name) => !sheets.has(name)),
+    };
+  }
+
+  // Streaming variant of compareSheets() for .xlsx files too large to hold
+  // in memory. Each workbook is read twice: a first pass only collects
+  // merged ranges, which follow the rows in the sheet XML, so merged headers
+  // can be spread; the second streams the rows. Keys, schema changes and
+  // renamed tabs are worked out from the first streamingSampleRows rows of
+  // each sheet
+  async compareSheetsStreaming({ signal = null } = {}) {
+    this.log(
+      `Starting streaming comparison: ${path.basename(
+        this.file1Path
+      )} vs ${path.basename(this.file2Path)}`
+    );
+    if (signal) signal.throwIfAborted();
+
+    [this.file1Path, this.file2Path].forEach((filePath) => {
+      if (this.getInputFormat(filePath) !== "xlsx") {
+        throw new Error(
+          `Streaming comparison needs .xlsx files, got ${path.basename(
+            filePath
+          )}`
+        );
+      }
+    });
+
+    this.streamState = this.createStreamState();
+    try {
+      const isCandidate = (sheetName) =>
+        !this.sheets || this.sheets.includes(sheetName);
+
+      const workbook1 = await this.streamWorkbook(
+        this.file1Path,
+        (name) => ({ configName: name, keep: isCandidate(name) }),
+        signal
+      );
+
+      // The new file's sheets are read with the settings of the old sheet
+      // they are mapped to; tabs only in the new file are kept in case they
+      // turn out to be renamed
+      let mappedPairs = null;
+      const mapSheets = (sheetNames2) => {
+        if (!mappedPairs) {
+          mappedPairs = this.findMappedSheets(
+            workbook1.sheetNames,
+            sheetNames2
+          );
+        }
+        return mappedPairs;
+      };
+      const workbook2 = await this.streamWorkbook(
+        this.file2Path,
+        (name, sheetNames2) => {
+          const mapped = mapSheets(sheetNames2).find(
+            (p) => p.sheetNameFile2 === name
+          );
+          if (mapped) {
+            return {
+              configName: mapped.sheetName,
+              keep: isCandidate(mapped.sheetName),
+            };
+          }
+          return {
+            configName: name,
+            keep: workbook1.sheetNames.includes(name)
+              ? isCandidate(name)
+              : this.matchRenamedTabs,
+          };
+        },
+        signal
+      );
+
+      await this.compareSheetPairs(
+        workbook1.sheetNames,
+        workbook2.sheetNames,
+        mapSheets(workbook2.sheetNames),
+        (sheetName, sheetNameFile2) => {
+          const sheet1 = this.streamedSheet(0, sheetName);
+          const sheet2 = this.streamedSheet(1, sheetNameFile2);
+          return {
+            sample1: sheet1.sample,
+            sample2: sheet2.sample,
+            rowCount1: sheet1.rowCount,
+            rowCount2: sheet2.rowCount,
+            partitions: (keyCol) =>
+              this.partitionStreamedRows(
+                sheet1.store,
+                sheet2.store,
+                keyCol,
+                sheetName
+              ),
+          };
+        },
+        signal
+      );
+    } catch (error) {
+      if (!(error instanceof ParseError) || (signal && signal.aborted)) {
+        throw error;
+      }
+      this.handleError(error);
+    } finally {
+      fs.rmSync(this.streamState.directory, { recursive: true, force: true });
+      this.streamState = null;
+    }
+
+    return this.results;
+  }
+
+  createStreamState() {
+    return {
+      directory: fs.mkdtempSync(
+        path.join(this.spillDirectory, "excel-compare-")
+      ),
+      stores: [],
+      spilling: false,
+      workbooks: [],
+    };
+  }
+
+  // Every row of the given sheets of the old file as [sheetName, row],
+  // read the way compareSheets() reads them
+  async *readOldRows(sheetNames, signal = null) {
+    if (!this.streaming) {
+      for (const sheetName of sheetNames) {
+        if (signal) signal.throwIfAborted();
+        const rows = this.normalizeData(
+          this.readSheetRecords(this.file1Path, sheetName),
+          sheetName
+        );
+        for (const row of rows) yield [sheetName, row];
+      }
+      return;
+    }
+
+    this.streamState = this.createStreamState();
+    try {
+      const workbook = await this.streamWorkbook(
+        this.file1Path,
+        (name) => ({ configName: name, keep: sheetNames.includes(name) }),
+        signal
+      );
+      for (const sheetName of sheetNames) {
+        const sheet = workbook.sheets.get(sheetName);
+        if (!sheet) continue;
+        for (const row of sheet.store.readRows()) yield [sheetName, row];
+      }
+    } finally {
+      fs.rmSync(this.streamState.directory, { recursive: true, force: true });
+      this.streamState = null;
+    }
+  }
+
+  // Streams every sheet of an .xlsx file. selectSheet(name, sheetNames)
+  // returns the name to look up settings under and whether to keep all
+  // rows, or only a sample
+  async streamWorkbook(filePath, selectSheet, signal = null) {
+    const reader = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+      sharedStrings: "cache",
+      // Styles tell date cells apart from numbers
+      styles: "cache",
+      hyperlinks: "ignore",
+      worksheets: "emit",
+      entries: "ignore",
+    });
+    const workbook = { sheetNames: [], sheets: new Map() };
+    this.streamState.workbooks.push(workbook);
+
+    const sheetNamesOf = () =>
+      ((reader.model && reader.model.sheets) || []).map((sheet) => sheet.name);
+
+    try {
+      const merges = await this.streamMerges(filePath, signal);
+      for await (const worksheetReader of reader) {
+        const sheetName = worksheetReader.name;
+        const { configName, keep } = selectSheet(sheetName, sheetNamesOf());
+        workbook.sheets.set(
+          sheetName,
+          await this.streamSheet(
+            worksheetReader,
+            filePath,
+            sheetName,
+            configName,
+            keep,
+            merges.get(sheetName) || [],
+            signal
+          )
+        );
+      }
+    } catch (error) {
+      if (error instanceof ComparisonError || (signal && signal.aborted)) {
+        throw error;
+      }
+      throw new ParseError(`Could not read ${filePath}: ${error.message}`, {
+        filePath,
+        cause: error,
+      });
+    } finally {
+      // Close the file when stopped early by an abort or a parse error
+      if (reader.stream) reader.stream.destroy();
+    }
+
+    // A damaged archive can end without ever reaching the workbook part
+    if (!reader.model) {
+      throw new ParseError(`Could not read ${filePath}: no workbook found`, {
+        filePath,
+      });
+    }
+    workbook.sheetNames = sheetNamesOf();
+    return workbook;
+  }
+
+  // Merged ranges by sheet name. The stream reader skips them and they
+  // follow the rows they cover, so a first pass scans the raw sheet XML
+  // for them before any header is read
+  async streamMerges(filePath, signal = null) {
+    const reader = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+      sharedStrings: "emit",
+      styles: "ignore",
+      hyperlinks: "ignore",
+      worksheets: "emit",
+      entries: "ignore",
+    });
+    const merges = new Map();
+    try {
+      for await (const worksheetReader of reader) {
+        if (signal) signal.throwIfAborted();
+        const ranges = [];
+        // Carries a tag cut off at the end of a chunk over to the next
+        let rest = "";
+        for await (const chunk of worksheetReader.iterator) {
+          const text = rest + chunk.toString("latin1");
+          const pattern = /<(?:\w+:)?mergeCell ref="([A-Z]+\d+:[A-Z]+\d+)"/g;
+          let end = 0;
+          let match;
+          while ((match = pattern.exec(text)) !== null) {
+            ranges.push(XLSX.utils.decode_range(match[1]));
+            end = pattern.lastIndex;
+          }
+          const cut = text.lastIndexOf("<");
+          rest = cut >= end ? text.slice(cut) : "";
+        }
+        merges.set(worksheetReader.name, ranges);
+      }
+    } finally {
+      if (reader.stream) reader.stream.destroy();
+    }
+    return merges;
+  }
+
+  // Mirrors readSheet() and sheetToRecords() one row at a time. Rows are
+  // buffered only until the header is found
+  async streamSheet(
+    worksheetReader,
+    filePath,
+    sheetName,
+    configName,
+    keep,
+    merges = [],
+    signal = null
+  ) {
+    const options = this.getHeaderOptions(configName);
+    const sheet = {
+      sample: [],
+      store: keep ? this.createRowStore() : null,
+      rowCount: 0,
+    };
+
+    const buffered = [];
+    let firstRow = null;
+    let layout = null;
+
+    const addRow = (index, values) => {
+      if (index < layout.start || index > layout.end) return;
+      if (layout.kept.length === 0) return;
+      if (values.every((v) => String(v).trim() === "")) return;
+
+      const record = { [ROW_NUMBER]: index + 1 };
+      layout.kept.forEach(([name, c]) => {
+        record[name] = values[c] === undefined ? "" : values[c];
+      });
+      const [row] = this.normalizeData([record], configName);
+
+      sheet.rowCount++;
+      if (sheet.sample.length < this.streamingSampleRows) {
+        sheet.sample.push(row);
+      }
+      if (sheet.store) sheet.store.add(row);
+      if (sheet.rowCount % CHUNK_ROWS === 0) {
+        this.checkMemory();
+        this.emit("progress", {
+          sheetName,
+          phase: "read",
+          rowsProcessed: sheet.rowCount,
+          totalRows: null,
+        });
+      }
+    };
+
+    const resolveHeader = () => {
+      let headerIndex;
+      if (options.headerRow === null) {
+        headerIndex = this.detectHeaderRow(buffered);
+        if (headerIndex > 0) {
+          this.log(
+            `Auto-detected header row for '${sheetName}': ${
+              firstRow + headerIndex
+            }`
+          );
+        }
+      } else {
+        headerIndex = options.headerRow - firstRow;
+      }
+
+      layout = { start: 0, end: -1, kept: [] };
+      if (headerIndex < 0 || headerIndex >= buffered.length) return;
+
+      const names = this.buildHeaderNames(
+        buffered,
+        headerIndex,
+        options.headerRowCount,
+        merges,
+        { r: firstRow, c: 0 }
+      );
+      const columns = new Map();
+      names.forEach((name, c) => {
+        columns.set(this.normalizeColumnName(name), c + 1);
+      });
+      if (keep) this.sheetLayouts.set(`${filePath}::${sheetName}`, columns);
+
+      layout = {
+        start:
+          options.dataStartRow === null
+            ? firstRow + headerIndex + options.headerRowCount
+            : options.dataStartRow,
+        end: options.dataEndRow === null ? Infinity : options.dataEndRow,
+        // Unnamed columns are dropped, as in readSheet()
+        kept: names
+          .map((name, c) => [name, c])
+          .filter(([name]) => !name.toLowerCase().includes("unnamed")),
+      };
+      buffered.forEach((values, i) => addRow(firstRow + i, values));
+    };
+
+    for await (const row of worksheetReader) {
+      if (signal) signal.throwIfAborted();
+      const index = row.number - 1;
+      const values = [];
+      for (let c = 1; c < row.values.length; c++) {
+        const value = streamCellValue(row.values[c]);
+        values.push(
+          this.typedValues || value === ""
+            ? value
+            : formatStreamValue(value, row.getCell(c).numFmt)
+        );
+      }
+
+      if (layout === null) {
+        if (firstRow === null) firstRow = index;
+        const headerEnd =
+          options.headerRow === null
+            ? firstRow + 20
+            : options.headerRow + options.headerRowCount;
+        if (index < headerEnd) {
+          // Keep blank rows so indices match the worksheet
+          while (firstRow + buffered.length < index) buffered.push([]);
+          buffered.push(values);
+          continue;
+        }
+        resolveHeader();
+      }
+      addRow(index, values);
+    }
+    if (layout === null && firstRow !== null) resolveHeader();
+
+    if (keep) {
+      this.log(
+        `Read sheet '${sheetName}' from ${path.basename(filePath)}: ${
+          sheet.rowCount
+        } rows, ${
+          sheet.sample.length > 0 ? Object.keys(sheet.sample[0]).length : 0
+        } columns`
+      );
+    }
+    return sheet;
+  }
+
+  createRowStore() {
+    const state = this.streamState;
+    const store = new RowStore(
+      path.join(state.directory, `rows-${state.stores.length}.jsonl`)
+    );
+    if (state.spilling) store.spill();
+    state.stores.push(store);
+    return store;
+  }
+
+  // Once the heap passes memoryThreshold, every sheet read so far and every
+  // sheet still to come is kept on disk
+  checkMemory() {
+    const state = this.streamState;
+    if (state.spilling) return;
+
+    const heapMb = process.memoryUsage().heapUsed / (1024 * 1024);
+    if (heapMb <= this.memoryThreshold) return;
+
+    this.log(
+      `Heap at ${Math.round(heapMb)} MB exceeds ${
+        this.memoryThreshold
+      } MB, spilling rows to ${state.directory}`
+    );
+    state.spilling = true;
+    state.stores.forEach((store) => store.spill());
+  }
+
+  // index is 0 for the old file and 1 for the new one
+  streamedSheet(index, sheetName) {
+    const sheet = this.streamState.workbooks[index].sheets.get(sheetName);
+    if (!sheet) {
+      const filePath = index === 0 ? this.file1Path : this.file2Path;
+      this.handleError(
+        new SheetNotFoundError(
+          `Sheet '${sheetName}' not found in ${filePath}`,
+          { filePath, sheetName }
+        )
+      );
+      return { sample: [], store: null, rowCount: 0 };
+    }
+    return sheet;
+  }
+
+  // Sheets read in memory are compared whole when small, and otherwise split
+  // by key hash into parts of about CHUNK_ROWS rows compared one at a time.
+  // Comparison rules on the key columns can pair keys that hash apart, so
+  // sheets with them are compared whole
+  async *partitionRows(data1, data2, keyCol, sheetName, signal = null) {
+    const count = Math.ceil(Math.max(data1.length, data2.length) / CHUNK_ROWS);
+    const keyColumns = keyCol === null ? [] : [].concat(keyCol);
+    if (
+      count <= 1 ||
+      this.describeComparisonRules(sheetName, keyColumns) !== ""
+    ) {
+      yield [data1, data2];
+      return;
+    }
+
+    const split = async (data) => {
+      const parts = _.range(count).map(() => []);
+      for (let i = 0; i < data.length; i++) {
+        const key = this.createRowHash(data[i], keyCol, sheetName);
+        parts[hashBucket(key, count)].push(data[i]);
+        if ((i + 1) % CHUNK_ROWS === 0) {
+          if (signal) signal.throwIfAborted();
+          await yieldToEventLoop();
+        }
+      }
+      return parts;
+    };
+    const parts1 = await split(data1);
+    const parts2 = await split(data2);
+    for (let i = 0; i < count; i++) yield [parts1[i], parts2[i]];
+  }
+
+  // Sheets held in memory are compared whole; once either side has spilled,
+  // both are split by key hash and compared a partition at a time
+  *partitionStreamedRows(store1, store2, keyCol, sheetName) {
+    const spilled = [store1, store2].some((store) => store && store.spilled);
+    if (!spilled) {
+      yield [store1 ? store1.rows : [], store2 ? store2.rows : []];
+      return;
+    }
+
+    const keyOf = (row) => this.createRowHash(row, keyCol, sheetName);
+    const [parts1, parts2] = [store1, store2].map((store) =>
+      store ? store.partition(keyOf, this.spillPartitions) : null
+    );
+    for (let i = 0; i < this.spillPartitions; i++) {
+      yield [parts1 ? parts1[i]() : [], parts2 ? parts2[i]() : []];
+    }
+  }
+
+  async compareSheetPairs(
+    sheetNames1,
+    sheetNames2,
+    mappedPairs,
+    sourceFor,
+    signal = null
+  ) {
+    this.tabChanges = this.detectTabChanges(
+      sheetNames1,
+      sheetNames2,
+      mappedPairs
+    );
+
+    // Pair each old sheet with its new counterpart, by mapping, rename or
+    // name, defaulting to the tabs present in both files
+    const sheetPairs = this.resolveSheetPairs(
+      sheetNames1,
+      sheetNames2,
+      mappedPairs
+    );
+    if (!this.sheets) {
+      this.log(
+        `Comparing all sheets: ${sheetPairs
+          .map((pair) => this.sheetLabel(pair))
+          .join(", ")}`
+      );
+    }
+
+    for (const { sheetName, sheetNameFile2 } of sheetPairs) {
+      if (signal) signal.throwIfAborted();
+      this.log(`\n${"=".repeat(60)}`);
+      this.log(
+        `Processing sheet: ${this.sheetLabel({ sheetName, sheetNameFile2 })}`
+      );
+      this.log("=".repeat(60));
+      this.emit("sheetStart", { sheetName, sheetNameFile2 });
+
+      try {
+        const result =
+          this.getSheetMode(sheetName) === "grid"
+            ? await this.compareSheetGrid(sheetName, sheetNameFile2, signal)
+            : await this.compareSheetData(
+                sheetName,
+                sheetNameFile2,
+                await sourceFor(sheetName, sheetNameFile2),
+                signal
+              );
+        this.emit("sheetDone", { sheetName, sheetNameFile2, result });
+      } catch (error) {
+        if (signal && signal.aborted) throw error;
+        this.handleError(
+          error instanceof ComparisonError
+            ? error
+            : new ComparisonError(
+                `Error processing sheet '${sheetName}': ${error.message}`,
+                { sheetName, cause: error }
+              )
+        );
+      }
+
+      await yieldToEventLoop();
+    }
+  }
+
+  // Diffs one sheet pair. source holds samples of both sides (the whole
+  // sheets when read in memory) for key detection and the schema diff, the
+  // full row counts, and partitions(keyCol), which yields (or async
+  // yields) [rows1, rows2] pairs in which every key appears in a single
+  // pair. Resolves with the result, or null when both sheets are empty
+  async compareSheetData(sheetName, sheetNameFile2, source, signal = null) {
+    const { sample1, sample2, rowCount1, rowCount2 } = source;
+
+    if (rowCount1 === 0 && rowCount2 === 0) {
+      this.log(`Sheet '${sheetName}' is empty in both files. Skipping.`);
+      return null;
+    }
+
+    const keyDetection = this.detectKey(sample1, sample2, sheetName);
+    const keyCol = keyDetection.keyCol;
+
+    // Debug logging
+    if (keyCol === null) {
+      this.log("Using full row hash comparison", "debug");
+      if (sample1.length > 0 && sample2.length > 0) {
+        const hashes = (data) =>
+          data
+            .slice(0, 2)
+            .map((row) => this.createRowHash(row, keyCol, sheetName));
+        this.log(`Sample File1 hashes: ${hashes(sample1).join(", ")}`, "debug");
+        this.log(`Sample File2 hashes: ${hashes(sample2).join(", ")}`, "debug");
+      }
+    }
+
+    const allColumns = [
+      ...new Set([
+        ...(sample1.length > 0 ? Object.keys(sample1[0]) : []),
+        ...(sample2.length > 0 ? Object.keys(sample2[0]) : []),
+      ]),
+    ];
+    const ignoredColumns = allColumns.filter(
+      (col) => !this.isColumnCompared(sheetName, col)
+    );
+    const schemaChanges = this.compareSchema(sample1, sample2, sheetName);
+    const comparisonRules = this.describeComparisonRules(
+      sheetName,
+      allColumns.filter((col) => !ignoredColumns.includes(col))
+    );
+
+    const diff = {
+      newRecords: [],
+      deletedRecords: [],
+      modifiedRecords: [],
+      duplicatesFile1: [],
+      duplicatesFile2: [],
+      duplicateGroups: [],
+      numberFormatChanges: [],
+      formulaChanges: [],
+      columnChanges: {},
+      toleratedDifferences: 0,
+    };
+    // Worksheet rows of the paired records, for the formatting diff
+    const rowPairs = this.compareFormatting ? [] : null;
+    const addRowPairs = (pairs) => {
+      if (!rowPairs) return;
+      pairs.forEach(([row1, row2]) => {
+        rowPairs.push([row1[ROW_NUMBER], row2[ROW_NUMBER]]);
+      });
+    };
+    let partitionCount = 0;
+    let rowsProcessed = 0;
+    for await (const [data1, data2] of source.partitions(keyCol)) {
+      if (signal) signal.throwIfAborted();
+      const match = this.matchRecords(data1, data2, keyCol, sheetName);
+      addRowPairs(match.pairs);
+      const modified = this.findModifiedRecords(
+        data1,
+        data2,
+        keyCol,
+        schemaChanges,
+        sheetName,
+        match
+      );
+      diff.newRecords.push(
+        ...this.findNewRecords(data1, data2, keyCol, sheetName, match)
+      );
+      diff.deletedRecords.push(
+        ...this.findDeletedRecords(data1, data2, keyCol, sheetName, match)
+      );
+      diff.modifiedRecords.push(...modified.records);
+      diff.duplicateGroups.push(...match.duplicateGroups);
+      diff.duplicatesFile1.push(
+        ...this.findDuplicates(data1, keyCol, sheetName)
+      );
+      diff.duplicatesFile2.push(
+        ...this.findDuplicates(data2, keyCol, sheetName)
+      );
+      Object.entries(modified.columnChanges).forEach(([col, count]) => {
+        diff.columnChanges[col] = (diff.columnChanges[col] || 0) + count;
+      });
+      diff.toleratedDifferences += modified.toleratedDifferences;
+      diff.numberFormatChanges.push(...modified.numberFormatChanges);
+      diff.formulaChanges.push(...modified.formulaChanges);
+      partitionCount++;
+
+      rowsProcessed += data1.length + data2.length;
+      this.emit("progress", {
+        sheetName,
+        phase: "compare",
+        rowsProcessed,
+        totalRows: rowCount1 + rowCount2,
+      });
+      await yieldToEventLoop();
+    }
+
+    // Without a key an edited row is a deleted plus a new record; pair
+    // them up by similarity instead
+    let fuzzyMatched = 0;
+    if (keyCol === null && this.fuzzyMatching) {
+      const matched = await this.matchSimilarRecords(
+        diff.deletedRecords,
+        diff.newRecords,
+        schemaChanges,
+        sheetName,
+        signal
+      );
+      fuzzyMatched = matched.matchedOld.size;
+      addRowPairs(matched.pairs);
+      diff.deletedRecords = diff.deletedRecords.filter(
+        (_row, i) => !matched.matchedOld.has(i)
+      );
+      diff.newRecords = diff.newRecords.filter(
+        (_row, j) => !matched.matchedNew.has(j)
+      );
+      diff.modifiedRecords.push(...matched.records);
+      Object.entries(matched.stats.columnChanges).forEach(([col, count]) => {
+        diff.columnChanges[col] = (diff.columnChanges[col] || 0) + count;
+      });
+      diff.toleratedDifferences += matched.stats.toleratedDifferences;
+      diff.numberFormatChanges.push(...matched.stats.numberFormatChanges);
+      diff.formulaChanges.push(...matched.stats.formulaChanges);
+    }
+
+    // Partitions are in key hash order, put records back in sheet order
+    if (partitionCount > 1 || fuzzyMatched > 0) {
+      const byRow = (key) => (a, b) => a[key] - b[key];
+      diff.newRecords.sort(byRow(ROW_NUMBER));
+      diff.deletedRecords.sort(byRow(ROW_NUMBER));
+      diff.modifiedRecords.sort(byRow(OLD_ROW_NUMBER));
+      diff.numberFormatChanges.sort(byRow(OLD_ROW_NUMBER));
+      diff.formulaChanges.sort(byRow(OLD_ROW_NUMBER));
+    }
+    // and duplicated keys in order of their first row, old file first
+    if (partitionCount > 1) {
+      const firstRow = new Map();
+      diff.duplicateGroups.forEach(({ rowsFile1, rowsFile2 }) => {
+        [rowsFile1, rowsFile2].forEach((rows) => {
+          rows.forEach((row) => firstRow.set(row, rows[0][ROW_NUMBER]));
+        });
+      });
+      const byKey = (a, b) =>
+        firstRow.get(a) - firstRow.get(b) || a[ROW_NUMBER] - b[ROW_NUMBER];
+      diff.duplicatesFile1.sort(byKey);
+      diff.duplicatesFile2.sort(byKey);
+      const oldFirst = (group) => (group.rowsFile1.length > 0 ? 0 : 1);
+      const firstOf = (group) =>
+        firstRow.get(group.rowsFile1[0] || group.rowsFile2[0]);
+      diff.duplicateGroups.sort(
+        (a, b) => oldFirst(a) - oldFirst(b) || firstOf(a) - firstOf(b)
+      );
+    }
+
+    const keyDisplay = Array.isArray(keyCol)
+      ? keyCol.join(", ")
+      : keyCol ||
+        (this.fuzzyMatching
+          ? `Fuzzy Match (${Math.round(this.fuzzyThreshold * 100)}% similar)`
+          : "Full Row Hash");
+
+    const result = {
+      sheetName,
+      sheetNameFile2,
+      keyColumn: keyDisplay,
+      keyColumns: Array.isArray(keyCol) ? keyCol : keyCol ? [keyCol] : [],
+      keyDetection,
+      fuzzyMatched,
+      rowCountFile1: rowCount1,
+      rowCountFile2: rowCount2,
+      colCountFile1: sample1.length > 0 ? Object.keys(sample1[0]).length : 0,
+      colCountFile2: sample2.length > 0 ? Object.keys(sample2[0]).length : 0,
+      ...diff,
+      mode: "records",
+      gridChanges: [],
+      gridAlignment: null,
+      formattingChanges: [],
+      cellPairs: rowPairs
+        ? this.recordCellPairs(
+            rowPairs,
+            diff,
+            sheetName,
+            sheetNameFile2,
+            schemaChanges
+          )
+        : null,
+      comparisonRules,
+      schemaChanges,
+      ignoredColumns,
+    };
+    this.results.push(result);
+
+    this.log(
+      `\nSheet '${this.sheetLabel({ sheetName, sheetNameFile2 })}' Summary:`
+    );
+    this.log(`  Key Column: ${keyDisplay}`);
+    this.log(`  Row Count: ${rowCount1} vs ${rowCount2}`);
+    if (ignoredColumns.length > 0) {
+      this.log(`  Ignored Columns: ${ignoredColumns.join(", ")}`);
+    }
+    this.log(
+      `  Schema Changes: ${schemaChanges.added.length} added, ${schemaChanges.removed.length} removed, ${schemaChanges.renamed.length} renamed, ${schemaChanges.reordered.length} reordered`
+    );
+    this.log(`  New Records: ${diff.newRecords.length}`);
+    this.log(`  Deleted Records: ${diff.deletedRecords.length}`);
+    this.log(`  Modified Records: ${diff.modifiedRecords.length}`);
+    if (fuzzyMatched > 0) {
+      this.log(`  Matched By Similarity: ${fuzzyMatched}`);
+    }
+    if (this.numberFormatChanges) {
+      this.log(`  Number Format Changes: ${diff.numberFormatChanges.length}`);
+    }
+    if (this.compareFormulas) {
+      this.log(`  Formula Changes: ${diff.formulaChanges.length}`);
+    }
+    if (comparisonRules) {
+      this.log(
+        `  Within Tolerance: ${diff.toleratedDifferences} (${comparisonRules})`
+      );
+    }
+    this.log(`  Duplicates in File1: ${diff.duplicatesFile1.length}`);
+    this.log(`  Duplicates in File2: ${diff.duplicatesFile2.length}`);
+    if (diff.duplicateGroups.length > 0) {
+      this.log(`  Duplicated Keys: ${diff.duplicateGroups.length}`);
+    }
+    return result;
+  }
+
+  // Grid mode counterpart of compareSheetData(): compares the cells of a
+  // sheet pair by address, or with alignGrid after lining up inserted and
+  // deleted rows and columns. Column settings (ignore, only, comparison
+  // rules, normalization) are keyed by column letter. Resolves with a
+  // result shaped like compareSheetData()'s, or null when both are empty
+  async compareSheetGrid(sheetName, sheetNameFile2, signal = null) {
+    const grid1 = this.readGrid(this.file1Path, sheetName);
+    const grid2 = this.readGrid(this.file2Path, sheetNameFile2);
+    if (signal) signal.throwIfAborted();
+    const rows1 = grid1.rows;
+    const rows2 = grid2.rows;
+
+    if (rows1.length === 0 && rows2.length === 0) {
+      this.log(`Sheet '${sheetName}' is empty in both files. Skipping.`);
+      return null;
+    }
+
+    const columnCount1 = rows1.length > 0 ? rows1[0].length : 0;
+    const columnCount2 = rows2.length > 0 ? rows2[0].length : 0;
+    const letter1 = (c) => XLSX.utils.encode_col(grid1.origin.c + c);
+    const letter2 = (c) => XLSX.utils.encode_col(grid2.origin.c + c);
+    const address1 = (r, c) =>
+      XLSX.utils.encode_cell({ r: grid1.origin.r + r, c: grid1.origin.c + c });
+    const address2 = (r, c) =>
+      XLSX.utils.encode_cell({ r: grid2.origin.r + r, c: grid2.origin.c + c });
+
+    // Normalized values, with columns left out of the comparison blanked
+    const normalizeGrid = (rows, columnCount, letter) => {
+      const columns = _.range(columnCount).map((c) => {
+        const col = this.normalizeColumnName(letter(c));
+        return {
+          col,
+          compared: this.isColumnCompared(sheetName, col),
+          options: this.getNormalizationOptions(sheetName, col),
+        };
+      });
+      return rows.map((row) =>
+        row.map((value, c) =>
+          columns[c].compared ? this.normalize(value, columns[c].options) : ""
+        )
+      );
+    };
+    const values1 = normalizeGrid(rows1, columnCount1, letter1);
+    const values2 = normalizeGrid(rows2, columnCount2, letter2);
+    await yieldToEventLoop();
+    if (signal) signal.throwIfAborted();
+
+    // Columns first, by their sets of values, which inserted rows barely
+    // change; then rows, by their values in the paired columns. Columns
+    // are as similar as the share of the smaller set found in the other
+    let columnPairs;
+    let rowPairs;
+    if (this.alignGrid) {
+      const columnValues = (values, columnCount) =>
+        _.range(columnCount).map((c) =>
+          _.uniq(values.map((row) => row[c]).filter((value) => value !== ""))
+        );
+      const columns1 = columnValues(values1, columnCount1);
+      const columns2 = columnValues(values2, columnCount2);
+      columnPairs = alignSequences(
+        columns1.map((values) => [...values].sort().join("\u0000")),
+        columns2.map((values) => [...values].sort().join("\u0000")),
+        (c1, c2) => {
+          const smaller = Math.min(columns1[c1].length, columns2[c2].length);
+          if (smaller === 0) return 1;
+          const other = new Set(columns2[c2]);
+          return (
+            columns1[c1].filter((value) => other.has(value)).length / smaller
+          );
+        }
+      );
+
+      const shared = columnPairs.filter(
+        ([c1, c2]) => c1 !== null && c2 !== null
+      );
+      const rowKey = (row, side) =>
+        shared.map((pair) => row[pair[side]]).join("\u0000");
+      rowPairs = alignSequences(
+        values1.map((row) => rowKey(row, 0)),
+        values2.map((row) => rowKey(row, 1)),
+        (r1, r2) => {
+          let same = 0;
+          let filled = 0;
+          shared.forEach(([c1, c2]) => {
+            const value1 = values1[r1][c1];
+            const value2 = values2[r2][c2];
+            if (value1 === "" && value2 === "") return;
+            filled++;
+            if (value1 === value2) same++;
+          });
+          return filled === 0 ? 1 : same / filled;
+        }
+      );
+    } else {
+      const positional = (count1, count2) =>
+        _.range(Math.max(count1, count2)).map((k) => [
+          k < count1 ? k : null,
+          k < count2 ? k : null,
+        ]);
+      columnPairs = positional(columnCount1, columnCount2);
+      rowPairs = positional(rows1.length, rows2.length);
+    }
+    await yieldToEventLoop();
+    if (signal) signal.throwIfAborted();
+
+    const gridAlignment = {
+      rowsInserted: [],
+      rowsDeleted: [],
+      columnsInserted: [],
+      columnsDeleted: [],
+    };
+    if (this.alignGrid) {
+      rowPairs.forEach(([r1, r2]) => {
+        if (r1 === null) {
+          gridAlignment.rowsInserted.push(grid2.origin.r + r2 + 1);
+        }
+        if (r2 === null) {
+          gridAlignment.rowsDeleted.push(grid1.origin.r + r1 + 1);
+        }
+      });
+      columnPairs.forEach(([c1, c2]) => {
+        if (c1 === null) gridAlignment.columnsInserted.push(letter2(c2));
+        if (c2 === null) gridAlignment.columnsDeleted.push(letter1(c1));
+      });
+    }
+
+    const gridChanges = [];
+    const rules = {};
+    let toleratedDifferences = 0;
+    for (let k = 0; k < rowPairs.length; k++) {
+      const [r1, r2] = rowPairs[k];
+      columnPairs.forEach(([c1, c2]) => {
+        const value1 = r1 !== null && c1 !== null ? values1[r1][c1] : "";
+        const value2 = r2 !== null && c2 !== null ? values2[r2][c2] : "";
+        if (value1 === value2) return;
+
+        let changeType = "Changed";
+        if (this.alignGrid && r1 === null) changeType = "Row inserted";
+        else if (this.alignGrid && r2 === null) changeType = "Row deleted";
+        else if (this.alignGrid && c1 === null) changeType = "Column inserted";
+        else if (this.alignGrid && c2 === null) changeType = "Column deleted";
+
+        if (changeType === "Changed" && value1 !== "" && value2 !== "") {
+          const col = this.normalizeColumnName(letter2(c2));
+          if (!(col in rules)) {
+            rules[col] = this.getComparisonRule(sheetName, col);
+          }
+          if (this.valuesEqual(value1, value2, rules[col])) {
+            toleratedDifferences++;
+            return;
+          }
+        }
+
+        const inOld = r1 !== null && c1 !== null;
+        const inNew = r2 !== null && c2 !== null;
+        gridChanges.push({
+          changeType,
+          oldAddress: inOld ? address1(r1, c1) : "",
+          newAddress: inNew ? address2(r2, c2) : "",
+          oldValue: inOld ? displayValue(rows1[r1][c1]) : "",
+          newValue: inNew ? displayValue(rows2[r2][c2]) : "",
+        });
+      });
+
+      if ((k + 1) % CHUNK_ROWS === 0 || k === rowPairs.length - 1) {
+        if (signal) signal.throwIfAborted();
+        this.emit("progress", {
+          sheetName,
+          phase: "compare",
+          rowsProcessed: k + 1,
+          totalRows: rowPairs.length,
+        });
+        await yieldToEventLoop();
+      }
+    }
+
+    const letters = _.uniq([
+      ..._.range(columnCount1).map(letter1),
+      ..._.range(columnCount2).map(letter2),
+    ]);
+    const ignoredColumns = letters.filter(
+      (letter) =>
+        !this.isColumnCompared(sheetName, this.normalizeColumnName(letter))
+    );
+    const comparisonRules = this.describeComparisonRules(
+      sheetName,
+      letters
+        .filter((letter) => !ignoredColumns.includes(letter))
+        .map((letter) => this.normalizeColumnName(letter))
+    );
+    const keyColumn = this.alignGrid ? "Cell Grid (aligned)" : "Cell Grid";
+
+    const result = {
+      sheetName,
+      sheetNameFile2,
+      keyColumn,
+      keyColumns: [],
+      keyDetection: { method: "none", candidates: [], collisions: 0 },
+      fuzzyMatched: 0,
+      rowCountFile1: rows1.length,
+      rowCountFile2: rows2.length,
+      colCountFile1: columnCount1,
+      colCountFile2: columnCount2,
+      newRecords: [],
+      deletedRecords: [],
+      modifiedRecords: [],
+      duplicatesFile1: [],
+      duplicatesFile2: [],
+      duplicateGroups: [],
+      numberFormatChanges: [],
+      formulaChanges: [],
+      columnChanges: {},
+      toleratedDifferences,
+      mode: "grid",
+      gridChanges,
+      gridAlignment,
+      formattingChanges: [],
+      cellPairs: this.compareFormatting
+        ? {
+            rows: rowPairs.map(([r1, r2]) => [
+              r1 === null ? null : grid1.origin.r + r1 + 1,
+              r2 === null ? null : grid2.origin.r + r2 + 1,
+            ]),
+            columns: columnPairs.map(([c1, c2]) => [
+              c1 === null ? null : grid1.origin.c + c1 + 1,
+              c2 === null ? null : grid2.origin.c + c2 + 1,
+            ]),
+          }
+        : null,
+      comparisonRules,
+      schemaChanges: { added: [], removed: [], renamed: [], reordered: [] },
+      ignoredColumns,
+    };
+    this.results.push(result);
+
+    this.log(
+      `\nSheet '${this.sheetLabel({ sheetName, sheetNameFile2 })}' Summary:`
+    );
+    this.log(`  Key Column: ${keyColumn}`);
+    this.log(`  Row Count: ${rows1.length} vs ${rows2.length}`);
+    if (ignoredColumns.length > 0) {
+      this.log(`  Ignored Columns: ${ignoredColumns.join(", ")}`);
+    }
+    if (this.alignGrid) {
+      this.log(
+        `  Rows: ${gridAlignment.rowsInserted.length} inserted, ${gridAlignment.rowsDeleted.length} deleted`
+      );
+      this.log(
+        `  Columns: ${gridAlignment.columnsInserted.length} inserted, ${gridAlignment.columnsDeleted.length} deleted`
+      );
+    }
+    this.log(`  Changed Cells: ${gridChanges.length}`);
+    if (comparisonRules) {
+      this.log(
+        `  Within Tolerance: ${toleratedDifferences} (${comparisonRules})`
+      );
+    }
+    return result;
+  }
+
+  // Worksheet rows and columns of a records sheet as the value diff paired
+  // them: rows by record, with deleted and new records on one side only,
+  // and columns by name, following renames
+  recordCellPairs(rowPairs, diff, sheetName, sheetNameFile2, schemaChanges) {
+    const rows = [
+      ...rowPairs,
+      ...diff.deletedRecords.map((row) => [row[ROW_NUMBER], null]),
+      ...diff.newRecords.map((row) => [null, row[ROW_NUMBER]]),
+    ];
+
+    const layout1 =
+      this.sheetLayouts.get(`${this.file1Path}::${sheetName}`) || new Map();
+    const layout2 =
+      this.sheetLayouts.get(`${this.file2Path}::${sheetNameFile2}`) ||
+      new Map();
+    const renamed = new Map(
+      schemaChanges.renamed.map((r) => [r.oldName, r.newName])
+    );
+    // Blank header columns are in neither side's records and stay positional
+    const columns = [];
+    layout1.forEach((c1, col) => {
+      const newName = renamed.has(col) ? renamed.get(col) : col;
+      if (layout2.has(newName)) columns.push([c1, layout2.get(newName)]);
+      else if (schemaChanges.removed.includes(col)) columns.push([c1, null]);
+    });
+    schemaChanges.added.forEach((col) => {
+      if (layout2.has(col)) columns.push([null, layout2.get(col)]);
+    });
+    return { rows, columns };
+  }
+
+  // "Q1" when both sides share a name, "Q1 -> Q1 Revised" otherwise
+  sheetLabel(result) {
+    return result.sheetNameFile2 !== result.sheetName
+      ? `${result.sheetName} -> ${result.sheetNameFile2}`
+      : result.sheetName;
+  }
+
+  hasDifferences() {
+    if (
+      this.history &&
+      this.history.steps.some((step) => step.hasDifferences)
+    ) {
+      return true;
+    }
+
+    const tabs = this.tabChanges;
+    if (
+      tabs &&
+      (tabs.added.length > 0 ||
+        tabs.removed.length > 0 ||
+        tabs.renamed.length > 0)
+    ) {
+      return true;
+    }
+
+    return this.results.some(
+      (result) =>
+        result.newRecords.length > 0 ||
+        result.deletedRecords.length > 0 ||
+        result.modifiedRecords.length > 0 ||
+        result.numberFormatChanges.length > 0 ||
+        result.formulaChanges.length > 0 ||
+        result.formattingChanges.length > 0 ||
+        result.gridChanges.length > 0 ||
+        this.hasSchemaChanges(result.schemaChanges)
+    );
+  }
+
+  formatSchemaChanges() {
+    const rows = [];
+
+    this.results.forEach((result) => {
+      const schema = result.schemaChanges;
+      const base = { "Sheet Name": this.sheetLabel(result) };
+
+      schema.added.forEach((col) => {
+        rows.push({
+          ...base,
+          "Change Type": "Added",
+          Column: col,
+          Details: `Only in ${this.file2Label}`,
+        });
+      });
+      schema.removed.forEach((col) => {
+        rows.push({
+          ...base,
+          "Change Type": "Removed",
+          Column: col,
+          Details: `Only in ${this.file1Label}`,
+        });
+      });
+      schema.renamed.forEach((r) => {
+        rows.push({
+          ...base,
+          "Change Type": "Renamed",
+          Column: r.newName,
+          Details: `Renamed from ${r.oldName} (${Math.round(
+            r.similarity * 100
+          )}% similar)`,
+        });
+      });
+      schema.reordered.forEach((r) => {
+        rows.push({
+          ...base,
+          "Change Type": "Reordered",
+          Column: r.column,
+          Details: `Moved from position ${r.oldPosition} to ${r.newPosition}`,
+        });
+      });
+    });
+
+    return rows;
+  }
+
+  // "orderid: 7 | region: East", or "Full Row" without a key
+  formatGroupKey(result, group) {
+    const row = group.rowsFile1[0] || group.rowsFile2[0];
+    if (result.keyColumns.length === 0) return "Full Row";
+    return result.keyColumns
+      .map((col) => `${col}: ${displayValue(row[col])}`)
+      .join(" | ");
+  }
+
+  formatDuplicateGroups(result, reportDir) {
+    const rows = [];
+
+    result.duplicateGroups.forEach((group) => {
+      const count1 = group.rowsFile1.length;
+      const count2 = group.rowsFile2.length;
+      const key = this.formatGroupKey(result, group);
+      rows.push({
+        "Sheet Name": this.sheetLabel(result),
+        Key: key,
+        Occurrences: `${count1}x ${this.file1Label}, ${count2}x ${this.file2Label}`,
+        countChanged: count1 !== count2,
+      });
+      [
+        [group.rowsFile1, "file1", this.file1Label],
+        [group.rowsFile2, "file2", this.file2Label],
+      ].forEach(([members, side, label]) => {
+        this.formatDetailRecords(members, result, side, reportDir).forEach(
+          (record) => rows.push({ ...record, Key: key, File: label })
+        );
+      });
+    });
+
+    return rows;
+  }
+
+  formatNumberFormatChanges(reportDir) {
+    const rows = [];
+
+    this.results.forEach((result) => {
+      result.numberFormatChanges.forEach((change) => {
+        rows.push({
+          "Sheet Name": this.sheetLabel(result),
+          "Old Row Number": this.sourceRowCell(
+            this.file1Path,
+            result.sheetName,
+            change[OLD_ROW_NUMBER],
+            reportDir
+          ),
+          "New Row Number": this.sourceRowCell(
+            this.file2Path,
+            result.sheetNameFile2,
+            change[ROW_NUMBER],
+            reportDir
+          ),
+          Column: change.column,
+          Value: change.value,
+          "Old Format": change.oldFormat,
+          "New Format": change.newFormat,
+        });
+      });
+    });
+
+    return rows;
+  }
+
+  formatFormulaChanges(reportDir) {
+    const rows = [];
+
+    this.results.forEach((result) => {
+      result.formulaChanges.forEach((change) => {
+        rows.push({
+          "Sheet Name": this.sheetLabel(result),
+          "Old Row Number": this.sourceRowCell(
+            this.file1Path,
+            result.sheetName,
+            change[OLD_ROW_NUMBER],
+            reportDir
+          ),
+          "New Row Number": this.sourceRowCell(
+            this.file2Path,
+            result.sheetNameFile2,
+            change[ROW_NUMBER],
+            reportDir
+          ),
+          Column: change.column,
+          Change: change.changeType,
+          "Old Formula": change.oldFormula,
+          "New Formula": change.newFormula,
+          "Old Value": change.oldValue,
+          "New Value": change.newValue,
+        });
+      });
+    });
+
+    return rows;
+  }
+
+  formatGridChanges(reportDir) {
+    const rows = [];
+
+    this.results.forEach((result) => {
+      result.gridChanges.forEach((change) => {
+        rows.push({
+          "Sheet Name": this.sheetLabel(result),
+          "Old Address": this.sourceCellLink(
+            this.file1Path,
+            result.sheetName,
+            change.oldAddress,
+            reportDir
+          ),
+          "New Address": this.sourceCellLink(
+            this.file2Path,
+            result.sheetNameFile2,
+            change.newAddress,
+            reportDir
+          ),
+          Change: change.changeType,
+          "Old Value": change.oldValue,
+          "New Value": change.newValue,
+        });
+      });
+    });
+
+    return rows;
+  }
+
+  formatFormattingChanges() {
+    const rows = [];
+
+    this.results.forEach((result) => {
+      result.formattingChanges.forEach((change) => {
+        rows.push({
+          "Sheet Name": this.sheetLabel(result),
+          Address: change.address,
+          Property: change.property,
+          "Old Value": change.oldValue,
+          "New Value": change.newValue,
+        });
+      });
+    });
+
+    return rows;
+  }
+
+  formatKeyDetection() {
+    const percent = (value) =>
+      value === null ? "" : `${Math.floor(value * 1000) / 10}%`;
+    const rows = [];
+
+    this.results.forEach((result) => {
+      // User-specified keys need no explaining
+      const { method, candidates } = result.keyDetection;
+      if (method === "user") return;
+      if (method === "none" && candidates.length === 0) return;
+
+      candidates.forEach((candidate) => {
+        const notes = [];
+        if (candidate.selected) notes.push("Best scoring key");
+        if (candidate.collisions > 0) {
+          notes.push(`${candidate.collisions} duplicate keys`);
+        }
+        if (candidate.empty > 0) notes.push(`${candidate.empty} empty keys`);
+        if (candidate.nameHint) notes.push("Name suggests an identifier");
+        if (candidate.measureRate > 0.5) {
+          notes.push("Fractional numbers suggest a measure");
+        }
+        if (!candidate.selected && candidate.unique) {
+          notes.push("Unique, lower score");
+        }
+
+        rows.push({
+          "Sheet Name": this.sheetLabel(result),
+          Status: candidate.selected ? "Selected" : "Runner-up",
+          "Key Columns": candidate.columns.join(", "),
+          Score: Math.round(candidate.score * 1000) / 1000,
+          Uniqueness: percent(candidate.uniqueness),
+          "Empty Keys": percent(candidate.nullRate),
+          Stability: percent(candidate.stability),
+          Notes: notes.join("; "),
+        });
+      });
+      if (method === "none") {
+        rows.push({
+          "Sheet Name": this.sheetLabel(result),
+          Status: "Selected",
+          "Key Columns": "Full Row Hash",
+          Notes: `No candidate reached ${KEY_MIN_UNIQUENESS * 100}% uniqueness`,
+        });
+      }
+    });
+
+    return rows;
+  }
+
+  sourceRowCell(filePath, sheetName, rowNumber, reportDir) {
+    if (rowNumber === undefined) return "";
+
+    // HYPERLINK formulas can jump to a cell in another workbook
+    const target = path
+      .relative(reportDir, path.resolve(filePath))
+      .replace(/"/g, '""');
+    const sheetRef = `'${sheetName.replace(/'/g, "''").replace(/"/g, '""')}'`;
+    return {
+      formula: `HYPERLINK("${target}#${sheetRef}!A${rowNumber}",${rowNumber})`,
+      result: rowNumber,
+    };
+  }
+
+  // Like sourceRowCell(), for one cell given by its A1 address
+  sourceCellLink(filePath, sheetName, address, reportDir) {
+    if (!address) return "";
+
+    const target = path
+      .relative(reportDir, path.resolve(filePath))
+      .replace(/"/g, '""');
+    const sheetRef = `'${sheetName.replace(/'/g, "''").replace(/"/g, '""')}'`;
+    return {
+      formula: `HYPERLINK("${target}#${sheetRef}!${address}","${address}")`,
+      result: address,
+    };
+  }
+
+  // side is "file1" or "file2" for records from one file, "both" for
+  // modified records that carry the old and new row numbers
+  formatDetailRecords(records, result, side, reportDir) {
+    const rowCell = (file, rowNumber) =>
+      file === "file1"
+        ? this.sourceRowCell(
+            this.file1Path,
+            result.sheetName,
+            rowNumber,
+            reportDir
+          )
+        : this.sourceRowCell(
+            this.file2Path,
+            result.sheetNameFile2,
+            rowNumber,
+            reportDir
+          );
+
+    return records
+      .map((row) => {
+        const detailsParts = [];
+        // Changes of modified records list as <column>_old / <column>_new
+        const changes = _.flatMap(row[CHANGES] || [], (change) => [
+          [`${change.column}_old`, change.oldValue],
+          [`${change.column}_new`, change.newValue],
+        ]);
+
+        [...changes, ...Object.entries(row)].forEach(([key, value]) => {
+          const normalized = this.normalize(value);
+          if (normalized !== "" && normalized !== "nan") {
+            detailsParts.push(`${key}: ${displayValue(value)}`);
+          }
+        });
+
+        const rowNumbers =
+          side === "both"
+            ? {
+                "Old Row Number": rowCell("file1", row[OLD_ROW_NUMBER]),
+                "New Row Number": rowCell("file2", row[ROW_NUMBER]),
+              }
+            : { "Row Number": rowCell(side, row[ROW_NUMBER]) };
+
+        return {
+          "Sheet Name": this.sheetLabel(result),
+          ...rowNumbers,
+          "Full Details": detailsParts.join(" | "),
+        };
+      })
+      .filter((record) => record["Full Details"] !== "");
+  }
+
+  defaultOutputPath(prefix, extension = ".xlsx") {
+    const timestamp = new Date()
+      .toISOString()
+      .replace(/[:.]/g, "-")
+      .slice(0, -5);
+    return `${prefix}_${timestamp}${extension}`;
+  }
+
+  async generateReport(outputPath) {
+    if (this.results.length === 0 && this.errors.length === 0) {
+      this.log("No comparison results to report.");
+      return null;
+    }
+
+    outputPath =
+      outputPath ||
+      this.outputPath ||
+      this.defaultOutputPath("comparison_report");
+
+    this.log(`\nGenerating report: ${outputPath}`);
+
+    const workbook = new ExcelJS.Workbook();
+    const reportDir = path.dirname(path.resolve(outputPath));
+
+    // Create Validation Summary sheet
+    await this.createValidationSummary(workbook);
+
+    // Consolidate records
+    const allNew = [];
+    const allModified = [];
+    const allDeleted = [];
+    const allDuplicates = [];
+
+    this.results.forEach((result) => {
+      if (result.newRecords.length > 0) {
+        allNew.push(
+          ...this.formatDetailRecords(
+            result.newRecords,
+            result,
+            "file2",
+            reportDir
+          )
+        );
+      }
+      if (result.modifiedRecords.length > 0) {
+        allModified.push(
+          ...this.formatDetailRecords(
+            result.modifiedRecords,
+            result,
+            "both",
+            reportDir
+          )
+        );
+      }
+      if (result.deletedRecords.length > 0) {
+        allDeleted.push(
+          ...this.formatDetailRecords(
+            result.deletedRecords,
+            result,
+            "file1",
+            reportDir
+          )
+        );
+      }
+      // Duplicates are listed by key, each group under a summary row
+      allDuplicates.push(...this.formatDuplicateGroups(result, reportDir));
+    });
+
+    const schemaRows = this.formatSchemaChanges();
+    const keyRows = this.formatKeyDetection();
+    const formatRows = this.formatNumberFormatChanges(reportDir);
+    const formulaRows = this.formatFormulaChanges(reportDir);
+    const formattingRows = this.formatFormattingChanges();
+    const gridRows = this.formatGridChanges(reportDir);
+
+    // Create consolidated sheets
+    if (schemaRows.length > 0) {
+      this.createSchemaSheet(workbook, "Schema Changes", schemaRows);
+    }
+    if (keyRows.length > 0) {
+      this.createKeyDetectionSheet(workbook, "Key Detection", keyRows);
+    }
+    if (gridRows.length > 0) {
+      this.createGridSheet(workbook, "Grid Changes", gridRows);
+    }
+    if (allNew.length > 0) {
+      this.createDetailSheet(workbook, "New", allNew);
+    }
+    if (allModified.length > 0) {
+      this.createDetailSheet(workbook, "Modified", allModified);
+    }
+    if (allDeleted.length > 0) {
+      this.createDetailSheet(workbook, "Deleted", allDeleted);
+    }
+    if (allDuplicates.length > 0) {
+      this.createDuplicateSheet(workbook, "Duplicates", allDuplicates);
+    }
+    if (formatRows.length > 0) {
+      this.createNumberFormatSheet(
+        workbook,
+        "Number Format Changes",
+        formatRows
+      );
+    }
+    if (formulaRows.length > 0) {
+      this.createFormulaSheet(workbook, "Formula Changes", formulaRows);
+    }
+    if (formattingRows.length > 0) {
+      this.createFormattingSheet(
+        workbook,
+        "Formatting Changes",
+        formattingRows
+      );
+    }
+
+    // Structured per-sheet Modified tabs
+    if (this.modifiedLayout !== "details") {
+      this.results.forEach((result) => {
+        if (result.modifiedRecords.length > 0) {
+          this.createSideBySideSheet(workbook, result, reportDir);
+        }
+      });
+    }
+
+    await workbook.xlsx.writeFile(outputPath);
+    this.log(`Report generated successfully: ${outputPath}`);
+    return outputPath;
+  }
+
+  /**
+   * Builds the machine-readable diff written by generateJsonReport.
+   *
+   * Shape (schemaVersion 1):
+   * {
+   *   schemaVersion, generatedAt, hasDifferences,
+   *   files: { old: { path, label, tabCount }, new: { ... } },
+   *   tabs: { added: [name], removed: [name],
+   *           renamed: [{ oldName, newName, similarity }],
+   *           mapped: [{ oldName, newName }] },
+   *   errors: [{ type, message, filePath, sheetName }],
+   *   warnings: [{ type, message, filePath, sheetName }],
+   *   sheets: [{
+   *     sheetName, sheetNameNew, keyColumns: [col],
+   *     keyDetection: { method: "user"|"auto"|"none", collisions,
+   *                     candidates: [{ columns, selected, score,
+   *                                    uniqueness, nullRate, stability,
+   *                                    collisions }] },
+   *     rowCount: { old, new }, columnCount: { old, new },
+   *     ignoredColumns: [col], toleratedDifferences, comparisonRules,
+   *     schemaChanges: { added, removed, renamed, reordered },
+   *     summary: { new, deleted, modified, duplicatesOld, duplicatesNew },
+   *     newRecords / deletedRecords: [{ key, rowNumber, values }],
+   *     fuzzyMatched,
+   *     numberFormatChanges: [{ column, value, oldFormat, newFormat,
+   *                             oldRowNumber, newRowNumber }],
+   *     formulaChanges: [{ column, changeType, oldFormula, newFormula,
+   *                        oldValue, newValue, oldRowNumber,
+   *                        newRowNumber }],
+   *     formattingChanges: [{ address, property, oldValue, newValue }],
+   *     mode: "records"|"grid",
+   *     gridAlignment: { rowsInserted: [rowNumber], rowsDeleted,
+   *                      columnsInserted: [letter], columnsDeleted },
+   *     gridChanges: [{ changeType, oldAddress, newAddress, oldValue,
+   *                     newValue }],
+   *     modifiedRecords: [{ key, oldRowNumber, newRowNumber, similarity,
+   *                         changes: [{ column, oldValue, newValue }] }],
+   *     duplicates: { old: [{ key, rowNumber, values }], new: [...],
+   *                   groups: [{ key, countOld, countNew,
+   *                              old: [{ rowNumber, values }],
+   *                              new: [...] }] }
+   *   }]
+   * }
+   *
+   * key is an object of key column values, or null for full-row matching.
+   * similarity is set for rows paired by fuzzy matching, otherwise null.
+   * Typed dates are written as ISO strings and error cells as their code.
+   * Row numbers are 1-based worksheet rows, or null when unknown.
+   */
+  buildJsonReport() {
+    // Typed values are written as the reports show them
+    const valuesOf = (row) => _.mapValues({ ...row }, displayValue);
+    const keyOf = (row, keyColumns) =>
+      keyColumns.length > 0 ? valuesOf(_.pick(row, keyColumns)) : null;
+    const rowNumberOf = (row, symbol = ROW_NUMBER) =>
+      row[symbol] === undefined ? null : row[symbol];
+    const recordEntry = (row, keyColumns) => ({
+      key: keyOf(row, keyColumns),
+      rowNumber: rowNumberOf(row),
+      values: valuesOf(row),
+    });
+
+    const sheets = this.results.map((result) => {
+      const keyColumns = result.keyColumns;
+      return {
+        sheetName: result.sheetName,
+        sheetNameNew: result.sheetNameFile2,
+        keyColumns,
+        keyDetection: {
+          method: result.keyDetection.method,
+          collisions: result.keyDetection.collisions,
+          candidates: result.keyDetection.candidates.map((candidate) => ({
+            columns: candidate.columns,
+            selected: candidate.selected || false,
+            score: candidate.score,
+            uniqueness: candidate.uniqueness,
+            nullRate: candidate.nullRate,
+            stability: candidate.stability,
+            collisions: candidate.collisions,
+          })),
+        },
+        rowCount: { old: result.rowCountFile1, new: result.rowCountFile2 },
+        columnCount: { old: result.colCountFile1, new: result.colCountFile2 },
+        ignoredColumns: result.ignoredColumns,
+        toleratedDifferences: result.toleratedDifferences,
+        fuzzyMatched: result.fuzzyMatched,
+        numberFormatChanges: result.numberFormatChanges.map((change) => ({
+          column: change.column,
+          value: change.value,
+          oldFormat: change.oldFormat,
+          newFormat: change.newFormat,
+          oldRowNumber: rowNumberOf(change, OLD_ROW_NUMBER),
+          newRowNumber: rowNumberOf(change),
+        })),
+        formulaChanges: result.formulaChanges.map((change) => ({
+          column: change.column,
+          changeType: change.changeType,
+          oldFormula: change.oldFormula,
+          newFormula: change.newFormula,
+          oldValue: change.oldValue,
+          newValue: change.newValue,
+          oldRowNumber: rowNumberOf(change, OLD_ROW_NUMBER),
+          newRowNumber: rowNumberOf(change),
+        })),
+        formattingChanges: result.formattingChanges,
+        mode: result.mode,
+        gridAlignment: result.gridAlignment,
+        gridChanges: result.gridChanges,
+        comparisonRules: result.comparisonRules || null,
+        schemaChanges: result.schemaChanges,
+        summary: {
+          new: result.newRecords.length,
+          deleted: result.deletedRecords.length,
+          modified: result.modifiedRecords.length,
+          duplicatesOld: result.duplicatesFile1.length,
+          duplicatesNew: result.duplicatesFile2.length,
+        },
+        newRecords: result.newRecords.map((row) =>
+          recordEntry(row, keyColumns)
+        ),
+        deletedRecords: result.deletedRecords.map((row) =>
+          recordEntry(row, keyColumns)
+        ),
+        modifiedRecords: result.modifiedRecords.map((record) => ({
+          key: keyOf(record, keyColumns),
+          oldRowNumber: rowNumberOf(record, OLD_ROW_NUMBER),
+          newRowNumber: rowNumberOf(record),
+          similarity:
+            record[MATCH_SIMILARITY] === undefined
+              ? null
+              : record[MATCH_SIMILARITY],
+          changes: record[CHANGES].map((change) => ({ ...change })),
+        })),
+        duplicates: {
+          old: result.duplicatesFile1.map((row) =>
+            recordEntry(row, keyColumns)
+          ),
+          new: result.duplicatesFile2.map((row) =>
+            recordEntry(row, keyColumns)
+          ),
+          groups: result.duplicateGroups.map((group) => ({
+            key: keyOf(group.rowsFile1[0] || group.rowsFile2[0], keyColumns),
+            countOld: group.rowsFile1.length,
+            countNew: group.rowsFile2.length,
+            old: group.rowsFile1.map((row) => ({
+              rowNumber: rowNumberOf(row),
+              values: valuesOf(row),
+            })),
+            new: group.rowsFile2.map((row) => ({
+              rowNumber: rowNumberOf(row),
+              values: valuesOf(row),
+            })),
+          })),
+        },
+      };
+    });
+
+    const tabs = this.tabChanges || {
+      added: [],
+      removed: [],
+      renamed: [],
+      mapped: [],
+    };
+    return {
+      schemaVersion: JSON_REPORT_VERSION,
+      generatedAt: new Date().toISOString(),
+      hasDifferences: this.hasDifferences(),
+      files: {
+        old: {
+          path: this.file1Path,
+          label: this.file1Label,
+          tabCount: tabs.tabCountFile1,
+        },
+        new: {
+          path: this.file2Path,
+          label: this.file2Label,
+          tabCount: tabs.tabCountFile2,
+        },
+      },
+      tabs: {
+        added: tabs.added,
+        removed: tabs.removed,
+        renamed: tabs.renamed,
+        mapped: tabs.mapped,
+      },
+      errors: this.errors.map(errorEntry),
+      warnings: this.warnings.map(errorEntry),
+      sheets,
+    };
+  }
+
+  async generateJsonReport(outputPath) {
+    outputPath =
+      outputPath ||
+      this.jsonOutputPath ||
+      this.defaultOutputPath("comparison_report", ".json");
+
+    this.log(`\nGenerating JSON report: ${outputPath}`);
+    await fs.promises.writeFile(
+      outputPath,
+      JSON.stringify(this.buildJsonReport(), null, 2)
+    );
+    this.log(`JSON report generated successfully: ${outputPath}`);
+    return outputPath;
+  }
+
+  // Excel report of compareVersions(): a Version Summary of the counts of
+  // each comparison and the Change History of every key, one row per
+  // addition, removal or changed cell
+  async generateHistoryReport(outputPath) {
+    if (!this.history) {
+      this.log("No version history to report.");
+      return null;
+    }
+
+    outputPath =
+      outputPath ||
+      this.outputPath ||
+      this.defaultOutputPath("version_history");
+
+    this.log(`\nGenerating version history report: ${outputPath}`);
+
+    const workbook = new ExcelJS.Workbook();
+    const labelOf = (version) => this.history.versions[version].label;
+    const summaryRows = [];
+    this.history.steps.forEach((step) => {
+      step.sheets.forEach((sheet) => {
+        summaryRows.push({
+          From: labelOf(step.from),
+          To: labelOf(step.to),
+          "Sheet Name": sheet.sheetName,
+          "New Records": sheet.new,
+          "Deleted Records": sheet.deleted,
+          "Modified Records": sheet.modified,
+        });
+      });
+    });
+    const historyRows = [];
+    this.history.sheets.forEach((sheet) => {
+      sheet.records.forEach((record) => {
+        const base = {
+          "Sheet Name": sheet.sheetName,
+          Key: record.key,
+          "First Seen": labelOf(record.firstSeen),
+          "Removed In":
+            record.removedIn === null ? "" : labelOf(record.removedIn),
+        };
+        record.events.forEach((event) => {
+          if (event.changes.length === 0) {
+            historyRows.push({
+              ...base,
+              Version: labelOf(event.version),
+              Event: event.type,
+            });
           }
+          event.changes.forEach((change) => {
+            historyRows.push({
+              ...base,
+              Version: labelOf(event.version),
+              Event: event.type,
+              Column: change.column,
+              "Old Value": change.oldValue,
+              "New Value": change.newValue,
+            });
+          });
         });
+      });
+    });
+
+    this.createTableSheet(
+      workbook,
+      "Version Summary",
+      [
+        { header: "From", key: "From", width: 25 },
+        { header: "To", key: "To", width: 25 },
+        { header: "Sheet Name", key: "Sheet Name", width: 25 },
+        { header: "New Records", key: "New Records", width: 14 },
+        { header: "Deleted Records", key: "Deleted Records", width: 16 },
+        { header: "Modified Records", key: "Modified Records", width: 16 },
+      ],
+      summaryRows
+    );
+    this.createTableSheet(
+      workbook,
+      "Change History",
+      [
+        { header: "Sheet Name", key: "Sheet Name", width: 25 },
+        { header: "Key", key: "Key", width: 25 },
+        { header: "First Seen", key: "First Seen", width: 20 },
+        { header: "Removed In", key: "Removed In", width: 20 },
+        { header: "Version", key: "Version", width: 20 },
+        { header: "Event", key: "Event", width: 12 },
+        { header: "Column", key: "Column", width: 20 },
+        { header: "Old Value", key: "Old Value", width: 25 },
+        { header: "New Value", key: "New Value", width: 25 },
+      ],
+      historyRows
+    );
+
+    await workbook.xlsx.writeFile(outputPath);
+    this.log(`Version history report generated successfully: ${outputPath}`);
+    return outputPath;
+  }
+
+  /**
+   * Writes this.history from compareVersions() as JSON:
+   * {
+   *   schemaVersion, generatedAt, hasDifferences,
+   *   versions: [{ label, path }],
+   *   steps: [{ from, to, hasDifferences,
+   *             sheets: [{ sheetName, new, deleted, modified }] }],
+   *   sheets: [{ sheetName, keyColumns,
+   *              records: [{ key, keyValues, firstSeen, removedIn,
+   *                          events: [{ version, type, changes:
+   *                            [{ column, oldValue, newValue }] }] }] }],
+   *   skippedSheets: [sheetName],
+   *   errors: [{ type, message, filePath, sheetName }],
+   *   warnings: [{ type, message, filePath, sheetName }]
+   * }
+   *
+   * from, to, firstSeen, removedIn and version are indexes into versions.
+   * type is "Added", "Removed" or "Modified"; removedIn is null for keys
+   * present in the last version. records holds every key of the first
+   * version, with no events if it never changed, and every key added later.
+   * skippedSheets had no key to follow.
+   */
+  async generateHistoryJsonReport(outputPath) {
+    outputPath =
+      outputPath ||
+      this.jsonOutputPath ||
+      this.defaultOutputPath("version_history", ".json");
+
+    this.log(`\nGenerating version history JSON: ${outputPath}`);
+    const report = {
+      schemaVersion: HISTORY_JSON_VERSION,
+      generatedAt: new Date().toISOString(),
+      hasDifferences: this.hasDifferences(),
+      ...this.history,
+      errors: this.errors.map(errorEntry),
+      warnings: this.warnings.map(errorEntry),
+    };
+    await fs.promises.writeFile(outputPath, JSON.stringify(report, null, 2));
+    this.log(`Version history JSON generated successfully: ${outputPath}`);
+    return outputPath;
+  }
 
-        return {
-          "Sheet Name": sheetName,
-          "Row Number": index + 2,
-          "Full Details": detailsParts.join(" | "),
-        };
-      })
-      .filter((record) => record["Full Details"] !== "");
+  async generateHtmlReport(outputPath) {
+    outputPath =
+      outputPath ||
+      this.htmlOutputPath ||
+      this.defaultOutputPath("comparison_report", ".html");
+
+    this.log(`\nGenerating HTML report: ${outputPath}`);
+    await fs.promises.writeFile(
+      outputPath,
+      renderHtmlReport(this.buildJsonReport())
+    );
+    this.log(`HTML report generated successfully: ${outputPath}`);
+    return outputPath;
   }
 
-  async generateReport(outputPath) {
+  async generateAnnotatedWorkbook(outputPath) {
     if (this.results.length === 0) {
-      this.log("No comparison results to report.");
+      this.log("No comparison results to annotate.");
       return null;
     }
 
-    if (!outputPath) {
-      const timestamp = new Date()
-        .toISOString()
-        .replace(/[:.]/g, "-")
-        .slice(0, -5);
-      outputPath = `comparison_report_${timestamp}.xlsx`;
-    }
+    outputPath =
+      outputPath ||
+      this.annotatedOutputPath ||
+      this.defaultOutputPath(
+        `${path.basename(
+          this.file2Path,
+          path.extname(this.file2Path)
+        )}_annotated`
+      );
 
-    this.log(`\nGenerating report: ${outputPath}`);
+    this.log(`\nGenerating annotated workbook: ${outputPath}`);
 
-    const workbook = new ExcelJS.Workbook();
+    if (this.getInputFormat(this.file2Path) !== "xlsx") {
+      throw new Error(
+        `Annotated output needs an .xlsx new file, got ${path.basename(
+          this.file2Path
+        )}`
+      );
+    }
 
-    // Create Validation Summary sheet
-    await this.createValidationSummary(workbook);
+    // Start from the new file so its formatting is preserved
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(this.file2Path);
 
-    // Consolidate records
-    const allNew = [];
-    const allModified = [];
-    const allDeleted = [];
-    const allDuplicates = [];
+    // Deleted rows are copied from the old file with their original values
+    // (when it is an .xlsx ExcelJS can open)
+    let oldWorkbook = null;
+    if (
+      this.getInputFormat(this.file1Path) === "xlsx" &&
+      this.results.some((result) => result.deletedRecords.length > 0)
+    ) {
+      oldWorkbook = new ExcelJS.Workbook();
+      await oldWorkbook.xlsx.readFile(this.file1Path);
+    }
 
     this.results.forEach((result) => {
-      if (result.newRecords.length > 0) {
-        allNew.push(
-          ...this.formatDetailRecords(result.newRecords, result.sheetName)
-        );
-      }
-      if (result.modifiedRecords.length > 0) {
-        allModified.push(
-          ...this.formatDetailRecords(result.modifiedRecords, result.sheetName)
-        );
-      }
-      if (result.deletedRecords.length > 0) {
-        allDeleted.push(
-          ...this.formatDetailRecords(result.deletedRecords, result.sheetName)
-        );
-      }
-      // Collect duplicates separately
-      if (result.duplicatesFile1.length > 0) {
-        const dupsWithLabel = this.formatDetailRecords(
-          result.duplicatesFile1,
-          result.sheetName
-        ).map((rec) => ({
-          ...rec,
-          File: this.file1Label,
-        }));
-        allDuplicates.push(...dupsWithLabel);
-      }
-      if (result.duplicatesFile2.length > 0) {
-        const dupsWithLabel = this.formatDetailRecords(
-          result.duplicatesFile2,
-          result.sheetName
-        ).map((rec) => ({
-          ...rec,
-          File: this.file2Label,
-        }));
-        allDuplicates.push(...dupsWithLabel);
-      }
+      const worksheet = workbook.getWorksheet(result.sheetNameFile2);
+      if (!worksheet) return;
+      const oldWorksheet = oldWorkbook
+        ? oldWorkbook.getWorksheet(result.sheetName)
+        : null;
+      this.annotateSheet(worksheet, oldWorksheet, result);
     });
 
-    // Create consolidated sheets
-    if (allNew.length > 0) {
-      this.createDetailSheet(workbook, "New", allNew);
-    }
-    if (allModified.length > 0) {
-      this.createDetailSheet(workbook, "Modified", allModified);
-    }
-    if (allDeleted.length > 0) {
-      this.createDetailSheet(workbook, "Deleted", allDeleted);
-    }
-    if (allDuplicates.length > 0) {
-      this.createDuplicateSheet(workbook, "Duplicates", allDuplicates);
-    }
-
     await workbook.xlsx.writeFile(outputPath);
-    this.log(`Report generated successfully: ${outputPath}`);
+    this.log(`Annotated workbook generated successfully: ${outputPath}`);
     return outputPath;
   }
 
+  annotateSheet(worksheet, oldWorksheet, result) {
+    const columns2 =
+      this.sheetLayouts.get(`${this.file2Path}::${result.sheetNameFile2}`) ||
+      new Map();
+    const columns1 =
+      this.sheetLayouts.get(`${this.file1Path}::${result.sheetName}`) ||
+      new Map();
+
+    const solidFill = (argb) => ({
+      type: "pattern",
+      pattern: "solid",
+      fgColor: { argb },
+    });
+    // Assign a fresh style object, ExcelJS shares styles between cells
+    const highlight = (cell, extra) => {
+      cell.style = { ...cell.style, ...extra };
+    };
+
+    // Grid sheets: changed cells as modified ones, inserted rows and
+    // columns as new rows
+    result.gridChanges.forEach((change) => {
+      if (!change.newAddress) return;
+      const cell = worksheet.getCell(change.newAddress);
+      if (change.changeType === "Changed") {
+        highlight(cell, { fill: solidFill("FFFFEB9C") });
+        cell.note = `${this.file1Label}: ${
+          change.oldValue === "" ? "(empty)" : change.oldValue
+        }`;
+      } else {
+        highlight(cell, { fill: solidFill("FFC6EFCE") });
+      }
+    });
+
+    // Modified cells: fill plus a note holding the old value
+    result.modifiedRecords.forEach((record) => {
+      record[CHANGES].filter((change) => columns2.has(change.column)).forEach(
+        ({ column, oldValue }) => {
+          const cell = worksheet.getCell(
+            record[ROW_NUMBER],
+            columns2.get(column)
+          );
+          highlight(cell, { fill: solidFill("FFFFEB9C") });
+          cell.note = `${this.file1Label}: ${
+            oldValue === "" ? "(empty)" : oldValue
+          }`;
+        }
+      );
+    });
+
+    // New rows: fill every cell of the record
+    result.newRecords.forEach((record) => {
+      const row = worksheet.getRow(record[ROW_NUMBER]);
+      columns2.forEach((colNumber) => {
+        highlight(row.getCell(colNumber), { fill: solidFill("FFC6EFCE") });
+      });
+    });
+
+    if (result.deletedRecords.length === 0) return;
+
+    // Deleted rows: appended below the data in a marked section
+    let rowNumber = worksheet.rowCount + 2;
+    const firstColumn = columns2.size > 0 ? Math.min(...columns2.values()) : 1;
+    const marker = worksheet.getCell(rowNumber++, firstColumn);
+    marker.value = `Deleted records (only in ${this.file1Label})`;
+    highlight(marker, {
+      font: { bold: true, color: { argb: "FF9C0006" } },
+    });
+
+    const cellValue = (cell) => {
+      const value = cell.value;
+      // Copy formula results rather than formulas that no longer line up
+      return value && typeof value === "object" && "result" in value
+        ? value.result
+        : value;
+    };
+
+    result.deletedRecords.forEach((record) => {
+      const oldRow =
+        oldWorksheet && record[ROW_NUMBER]
+          ? oldWorksheet.getRow(record[ROW_NUMBER])
+          : null;
+      const row = worksheet.getRow(rowNumber++);
+
+      columns2.forEach((colNumber, col) => {
+        const cell = row.getCell(colNumber);
+        if (oldRow && columns1.has(col)) {
+          cell.value = cellValue(oldRow.getCell(columns1.get(col)));
+        } else if (col in record) {
+          cell.value = record[col];
+        }
+        highlight(cell, {
+          fill: solidFill("FFFFC7CE"),
+          font: { strike: true, color: { argb: "FF9C0006" } },
+        });
+      });
+    });
+  }
+
   async createValidationSummary(workbook) {
     const sheet = workbook.addWorksheet("Validation Summary");
 
@@ -525,27 +5258,100 @@ class ExcelComparator {
     );
     currentRow++;
 
-    // Total Tabs Count
-    const totalSheets = this.results.length;
+    // Total Tabs Count, left blank when a file could not be read
+    const tabs = this.tabChanges || {
+      tabCountFile1: null,
+      tabCountFile2: null,
+      added: [],
+      removed: [],
+      renamed: [],
+      mapped: [],
+    };
+    const tabCountMatch = tabs.tabCountFile1 === tabs.tabCountFile2;
     this.addValidationRow(
       sheet,
       currentRow++,
       "Total Tabs Count",
-      totalSheets,
-      totalSheets,
-      "Count Match",
-      true
+      tabs.tabCountFile1,
+      tabs.tabCountFile2,
+      tabs.tabCountFile1 === null
+        ? "Not read"
+        : tabCountMatch
+        ? "Count Match"
+        : "Count Mismatch",
+      tabCountMatch
     );
 
-    // Tabs Added/Removed
-    this.addYesNoRow(sheet, currentRow++, "Tabs Added", false, "No new tabs");
+    // Tabs Added/Removed/Renamed
+    this.addYesNoRow(
+      sheet,
+      currentRow++,
+      "Tabs Added",
+      tabs.added.length > 0,
+      tabs.added.length > 0
+        ? `Only in ${this.file2Label}: ${tabs.added.join(", ")}`
+        : "No new tabs"
+    );
     this.addYesNoRow(
       sheet,
       currentRow++,
       "Tabs Removed",
-      false,
-      "No tabs removed"
+      tabs.removed.length > 0,
+      tabs.removed.length > 0
+        ? `Only in ${this.file1Label}: ${tabs.removed.join(", ")}`
+        : "No tabs removed"
     );
+    if (this.matchRenamedTabs) {
+      this.addYesNoRow(
+        sheet,
+        currentRow++,
+        "Tabs Renamed",
+        tabs.renamed.length > 0,
+        tabs.renamed.length > 0
+          ? tabs.renamed
+              .map(
+                (r) =>
+                  `${r.oldName} -> ${r.newName} (${Math.round(
+                    r.similarity * 100
+                  )}% similar)`
+              )
+              .join(", ")
+          : "No tabs renamed"
+      );
+    }
+    if (this.sheetMappings.length > 0) {
+      this.addValidationRow(
+        sheet,
+        currentRow++,
+        "Tabs Mapped",
+        tabs.mapped.length,
+        tabs.mapped.length,
+        tabs.mapped.length > 0
+          ? tabs.mapped.map((m) => `${m.oldName} -> ${m.newName}`).join(", ")
+          : "No sheet mappings matched",
+        true
+      );
+    }
+    if (this.errors.length > 0) {
+      this.addYesNoRow(
+        sheet,
+        currentRow++,
+        "Errors",
+        true,
+        this.errors.map((error) => `${error.name}: ${error.message}`).join("; ")
+      );
+    }
+    if (this.warnings.length > 0) {
+      this.addYesNoRow(
+        sheet,
+        currentRow++,
+        "Warnings",
+        true,
+        this.warnings
+          .map((warning) => `${warning.name}: ${warning.message}`)
+          .join("; ")
+      );
+    }
 
     // Process each sheet result
     this.results.forEach((result) => {
@@ -553,7 +5359,7 @@ class ExcelComparator {
 
       // Sheet title
       const sheetTitleRow = sheet.getRow(currentRow);
-      [`Tab Name: ${result.sheetName}`, "", "", "Comments"].forEach(
+      [`Tab Name: ${this.sheetLabel(result)}`, "", "", "Comments"].forEach(
         (val, idx) => {
           sheetTitleRow.getCell(idx + 1).value = val;
           sheetTitleRow.getCell(idx + 1).style = headerStyle;
@@ -595,6 +5401,54 @@ class ExcelComparator {
         colMatch
       );
 
+      // Key Column
+      const keyCollisions = result.keyDetection.collisions;
+      this.addValidationRow(
+        sheet,
+        currentRow++,
+        "Key Column",
+        result.keyColumn,
+        result.keyColumn,
+        keyCollisions > 0
+          ? `Key is not unique, ${keyCollisions} duplicate keys - see Key Detection tab`
+          : result.mode === "grid"
+          ? "Compared cell by cell by address"
+          : "See Key Detection tab",
+        keyCollisions === 0
+      );
+
+      // Ignored Columns
+      if (result.ignoredColumns.length > 0) {
+        this.addValidationRow(
+          sheet,
+          currentRow++,
+          "Ignored Columns",
+          result.ignoredColumns.length,
+          result.ignoredColumns.length,
+          `Excluded from comparison: ${result.ignoredColumns.join(", ")}`,
+          true
+        );
+      }
+
+      // Grid sheets have no records, only cells
+      if (result.mode === "grid") {
+        currentRow = this.addGridValidationRows(sheet, currentRow, result);
+        return;
+      }
+
+      // Schema Changes
+      const schema = result.schemaChanges;
+      const hasSchema = this.hasSchemaChanges(schema);
+      this.addYesNoRow(
+        sheet,
+        currentRow++,
+        "Schema Changes",
+        hasSchema,
+        hasSchema
+          ? `${schema.added.length} added, ${schema.removed.length} removed, ${schema.renamed.length} renamed, ${schema.reordered.length} reordered columns available in Schema Changes tab`
+          : ""
+      );
+
       // New Records
       const hasNew = result.newRecords.length > 0;
       this.addYesNoRow(
@@ -619,6 +5473,74 @@ class ExcelComparator {
           : ""
       );
 
+      // Cells whose number format changed but whose value did not
+      if (this.numberFormatChanges) {
+        const formatChanges = result.numberFormatChanges.length;
+        this.addYesNoRow(
+          sheet,
+          currentRow++,
+          "Number Format Changes",
+          formatChanges > 0,
+          formatChanges > 0
+            ? `${formatChanges} cells reformatted without a value change - see Number Format Changes tab`
+            : ""
+        );
+      }
+
+      if (this.compareFormulas) {
+        const formulaChanges = result.formulaChanges.length;
+        this.addYesNoRow(
+          sheet,
+          currentRow++,
+          "Formula Changes",
+          formulaChanges > 0,
+          formulaChanges > 0
+            ? `${formulaChanges} cells with a changed, added or removed formula - see Formula Changes tab`
+            : ""
+        );
+      }
+
+      if (this.compareFormatting) {
+        const formattingChanges = result.formattingChanges.length;
+        this.addYesNoRow(
+          sheet,
+          currentRow++,
+          "Formatting Changes",
+          formattingChanges > 0,
+          formattingChanges > 0
+            ? `${formattingChanges} style, comment, merge, validation or conditional formatting differences - see Formatting Changes tab`
+            : ""
+        );
+      }
+
+      // Rows paired by fuzzy matching
+      if (result.fuzzyMatched > 0) {
+        this.addValidationRow(
+          sheet,
+          currentRow++,
+          "Matched By Similarity",
+          "",
+          result.fuzzyMatched,
+          `Rows without a key paired at ${Math.round(
+            this.fuzzyThreshold * 100
+          )}% similarity or more`,
+          true
+        );
+      }
+
+      // Differences absorbed by the comparison rules
+      if (result.comparisonRules) {
+        this.addValidationRow(
+          sheet,
+          currentRow++,
+          "Within Tolerance",
+          "",
+          result.toleratedDifferences,
+          `Differences ignored by comparison rules - ${result.comparisonRules}`,
+          true
+        );
+      }
+
       // Deleted Records
       const hasDeleted = result.deletedRecords.length > 0;
       this.addYesNoRow(
@@ -632,12 +5554,81 @@ class ExcelComparator {
       );
 
       // Duplicates
-      const hasDup =
-        result.duplicatesFile1.length > 0 || result.duplicatesFile2.length > 0;
-      this.addYesNoRow(sheet, currentRow++, "Duplicate Records", hasDup, "");
+      const hasDup = result.duplicateGroups.length > 0;
+      const countChanges = result.duplicateGroups.filter(
+        (group) => group.rowsFile1.length !== group.rowsFile2.length
+      ).length;
+      this.addYesNoRow(
+        sheet,
+        currentRow++,
+        "Duplicate Records",
+        hasDup,
+        hasDup
+          ? `${result.duplicateGroups.length} duplicated keys, ${countChanges} with a different count - see Duplicates tab`
+          : ""
+      );
     });
   }
 
+  // Validation Summary rows of a sheet compared in grid mode; returns the
+  // next free row
+  addGridValidationRows(sheet, currentRow, result) {
+    const alignment = result.gridAlignment;
+    if (this.alignGrid) {
+      [
+        ["Rows Inserted", alignment.rowsInserted],
+        ["Rows Deleted", alignment.rowsDeleted],
+        ["Columns Inserted", alignment.columnsInserted],
+        ["Columns Deleted", alignment.columnsDeleted],
+      ].forEach(([label, items]) => {
+        this.addYesNoRow(
+          sheet,
+          currentRow++,
+          label,
+          items.length > 0,
+          items.join(", ")
+        );
+      });
+    }
+
+    const changedCells = result.gridChanges.length;
+    this.addYesNoRow(
+      sheet,
+      currentRow++,
+      "Changed Cells",
+      changedCells > 0,
+      changedCells > 0
+        ? `${changedCells} cells differ - see Grid Changes tab`
+        : ""
+    );
+
+    if (this.compareFormatting) {
+      const formattingChanges = result.formattingChanges.length;
+      this.addYesNoRow(
+        sheet,
+        currentRow++,
+        "Formatting Changes",
+        formattingChanges > 0,
+        formattingChanges > 0
+          ? `${formattingChanges} style, comment, merge, validation or conditional formatting differences - see Formatting Changes tab`
+          : ""
+      );
+    }
+
+    if (result.comparisonRules) {
+      this.addValidationRow(
+        sheet,
+        currentRow++,
+        "Within Tolerance",
+        "",
+        result.toleratedDifferences,
+        `Differences ignored by comparison rules - ${result.comparisonRules}`,
+        true
+      );
+    }
+    return currentRow;
+  }
+
   addValidationRow(sheet, rowNum, label, val1, val2, comment, isMatch) {
     const row = sheet.getRow(rowNum);
     row.getCell(1).value = label;
@@ -752,16 +5743,19 @@ class ExcelComparator {
     };
   }
 
-  createDetailSheet(workbook, sheetName, data) {
+  // A worksheet of rows under a styled header row, for the report tabs
+  // that list one record per row. Returns the worksheet
+  createTableSheet(workbook, sheetName, columns, rows) {
     const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns;
+    this.styleHeaderRow(sheet);
+    rows.forEach((record) => {
+      sheet.addRow(record);
+    });
+    return sheet;
+  }
 
-    sheet.columns = [
-      { header: "Sheet Name", key: "Sheet Name", width: 25 },
-      { header: "Row Number", key: "Row Number", width: 12 },
-      { header: "Full Details", key: "Full Details", width: 100 },
-    ];
-
-    // Style header
+  styleHeaderRow(sheet) {
     sheet.getRow(1).eachCell((cell) => {
       cell.style = {
         font: { bold: true, color: { argb: "FFFFFFFF" } },
@@ -779,47 +5773,301 @@ class ExcelComparator {
         alignment: { horizontal: "center", vertical: "middle" },
       };
     });
+  }
 
-    // Add data
-    data.forEach((record) => {
-      sheet.addRow(record);
-    });
+  createDetailSheet(workbook, sheetName, data) {
+    // Modified records link to their row in both files
+    const rowColumns =
+      data.length > 0 && "Old Row Number" in data[0]
+        ? [
+            { header: "Old Row Number", key: "Old Row Number", width: 16 },
+            { header: "New Row Number", key: "New Row Number", width: 16 },
+          ]
+        : [{ header: "Row Number", key: "Row Number", width: 12 }];
+
+    this.createTableSheet(
+      workbook,
+      sheetName,
+      [
+        { header: "Sheet Name", key: "Sheet Name", width: 25 },
+        ...rowColumns,
+        { header: "Full Details", key: "Full Details", width: 100 },
+      ],
+      data
+    );
   }
 
-  createDuplicateSheet(workbook, sheetName, data) {
-    const sheet = workbook.addWorksheet(sheetName);
+  uniqueSheetName(workbook, baseName) {
+    // Excel sheet names are limited to 31 characters without []:*?/\
+    const clean = baseName.replace(/[[\]:*?/\\]/g, "_").slice(0, 31);
+    let name = clean;
+    for (let n = 2; workbook.getWorksheet(name); n++) {
+      const suffix = ` (${n})`;
+      name = clean.slice(0, 31 - suffix.length) + suffix;
+    }
+    return name;
+  }
 
-    sheet.columns = [
-      { header: "File", key: "File", width: 20 },
-      { header: "Sheet Name", key: "Sheet Name", width: 25 },
-      { header: "Row Number", key: "Row Number", width: 12 },
-      { header: "Full Details", key: "Full Details", width: 100 },
+  createSideBySideSheet(workbook, result, reportDir) {
+    const sheet = workbook.addWorksheet(
+      this.uniqueSheetName(workbook, `Modified - ${result.sheetName}`)
+    );
+    const records = result.modifiedRecords;
+    const keyCols = result.keyColumns;
+
+    // Every column from either version, key columns first
+    const valueCols = [];
+    records.forEach((record) => {
+      [record[NEW_ROW], record[OLD_ROW]].forEach((row) => {
+        Object.keys(row).forEach((col) => {
+          if (!keyCols.includes(col) && !valueCols.includes(col)) {
+            valueCols.push(col);
+          }
+        });
+      });
+    });
+
+    const changedStyle = {
+      fill: {
+        type: "pattern",
+        pattern: "solid",
+        fgColor: { argb: "FFFFEB9C" },
+      },
+      font: { bold: true },
+    };
+
+    const valuesOf = (record, col) => {
+      const change = record[CHANGES].find((c) => c.column === col);
+      if (change) {
+        return {
+          oldValue: change.oldValue,
+          newValue: change.newValue,
+          changed: true,
+        };
+      }
+      const oldValue = record[OLD_ROW][col];
+      const newValue = record[NEW_ROW][col];
+      return {
+        oldValue: oldValue === undefined ? "" : oldValue,
+        newValue: newValue === undefined ? "" : newValue,
+        changed: false,
+      };
+    };
+
+    const rowCells = (record) => [
+      this.sourceRowCell(
+        this.file1Path,
+        result.sheetName,
+        record[OLD_ROW_NUMBER],
+        reportDir
+      ),
+      this.sourceRowCell(
+        this.file2Path,
+        result.sheetNameFile2,
+        record[ROW_NUMBER],
+        reportDir
+      ),
+      ...keyCols.map((col) => record[NEW_ROW][col]),
     ];
+    const leadHeaders = ["Old Row Number", "New Row Number", ...keyCols];
 
-    // Style header
-    sheet.getRow(1).eachCell((cell) => {
-      cell.style = {
-        font: { bold: true, color: { argb: "FFFFFFFF" } },
-        fill: {
+    if (this.modifiedLayout === "columns") {
+      // Old and new values in adjacent columns
+      sheet.addRow([
+        ...leadHeaders,
+        ..._.flatMap(valueCols, (col) => [
+          `${col} (${this.file1Label})`,
+          `${col} (${this.file2Label})`,
+        ]),
+      ]);
+
+      records.forEach((record) => {
+        const values = valueCols.map((col) => valuesOf(record, col));
+        const row = sheet.addRow([
+          ...rowCells(record),
+          ..._.flatMap(values, (v) => [v.oldValue, v.newValue]),
+        ]);
+
+        values.forEach((v, idx) => {
+          if (!v.changed) return;
+          const oldCell = row.getCell(leadHeaders.length + idx * 2 + 1);
+          const newCell = row.getCell(leadHeaders.length + idx * 2 + 2);
+          oldCell.style = changedStyle;
+          newCell.style = changedStyle;
+          newCell.note = `${this.file1Label}: ${
+            v.oldValue === "" ? "(empty)" : v.oldValue
+          }`;
+        });
+      });
+    } else {
+      // One row per version, changed cells highlighted on the new row
+      sheet.addRow([...leadHeaders, "Version", ...valueCols]);
+
+      records.forEach((record) => {
+        const values = valueCols.map((col) => valuesOf(record, col));
+        sheet.addRow([
+          ...rowCells(record),
+          this.file1Label,
+          ...values.map((v) => v.oldValue),
+        ]);
+        const newRow = sheet.addRow([
+          ...rowCells(record),
+          this.file2Label,
+          ...values.map((v) => v.newValue),
+        ]);
+
+        values.forEach((v, idx) => {
+          if (!v.changed) return;
+          const cell = newRow.getCell(leadHeaders.length + idx + 2);
+          cell.style = changedStyle;
+          cell.note = `${this.file1Label}: ${
+            v.oldValue === "" ? "(empty)" : v.oldValue
+          }`;
+        });
+      });
+    }
+
+    sheet.columns.forEach((column) => {
+      column.width = 18;
+    });
+    sheet.views = [{ state: "frozen", xSplit: leadHeaders.length, ySplit: 1 }];
+    this.styleHeaderRow(sheet);
+  }
+
+  createDuplicateSheet(workbook, sheetName, data) {
+    const sheet = this.createTableSheet(
+      workbook,
+      sheetName,
+      [
+        { header: "Sheet Name", key: "Sheet Name", width: 25 },
+        { header: "Key", key: "Key", width: 30 },
+        { header: "Occurrences", key: "Occurrences", width: 35 },
+        { header: "File", key: "File", width: 20 },
+        { header: "Row Number", key: "Row Number", width: 12 },
+        { header: "Full Details", key: "Full Details", width: 100 },
+      ],
+      data
+    );
+
+    // Group rows are shaded, amber when the count changed
+    data.forEach((record, i) => {
+      const row = sheet.getRow(i + 2);
+      if (record.Occurrences) {
+        row.font = { bold: true };
+        row.fill = {
           type: "pattern",
           pattern: "solid",
-          fgColor: { argb: "FF4472C4" },
-        },
-        border: {
-          top: { style: "thin" },
-          left: { style: "thin" },
-          bottom: { style: "thin" },
-          right: { style: "thin" },
-        },
-        alignment: { horizontal: "center", vertical: "middle" },
-      };
+          fgColor: { argb: record.countChanged ? "FFFFE699" : "FFD9E1F2" },
+        };
+      }
     });
+  }
 
-    // Add data
-    data.forEach((record) => {
-      sheet.addRow(record);
+  createNumberFormatSheet(workbook, sheetName, data) {
+    this.createTableSheet(
+      workbook,
+      sheetName,
+      [
+        { header: "Sheet Name", key: "Sheet Name", width: 25 },
+        { header: "Old Row Number", key: "Old Row Number", width: 16 },
+        { header: "New Row Number", key: "New Row Number", width: 16 },
+        { header: "Column", key: "Column", width: 25 },
+        { header: "Value", key: "Value", width: 25 },
+        { header: "Old Format", key: "Old Format", width: 25 },
+        { header: "New Format", key: "New Format", width: 25 },
+      ],
+      data
+    );
+  }
+
+  createFormulaSheet(workbook, sheetName, data) {
+    this.createTableSheet(
+      workbook,
+      sheetName,
+      [
+        { header: "Sheet Name", key: "Sheet Name", width: 25 },
+        { header: "Old Row Number", key: "Old Row Number", width: 16 },
+        { header: "New Row Number", key: "New Row Number", width: 16 },
+        { header: "Column", key: "Column", width: 25 },
+        { header: "Change", key: "Change", width: 28 },
+        { header: "Old Formula", key: "Old Formula", width: 35 },
+        { header: "New Formula", key: "New Formula", width: 35 },
+        { header: "Old Value", key: "Old Value", width: 20 },
+        { header: "New Value", key: "New Value", width: 20 },
+      ],
+      data
+    );
+  }
+
+  createGridSheet(workbook, sheetName, data) {
+    this.createTableSheet(
+      workbook,
+      sheetName,
+      [
+        { header: "Sheet Name", key: "Sheet Name", width: 25 },
+        { header: "Old Address", key: "Old Address", width: 14 },
+        { header: "New Address", key: "New Address", width: 14 },
+        { header: "Change", key: "Change", width: 18 },
+        { header: "Old Value", key: "Old Value", width: 35 },
+        { header: "New Value", key: "New Value", width: 35 },
+      ],
+      data
+    );
+  }
+
+  createFormattingSheet(workbook, sheetName, data) {
+    this.createTableSheet(
+      workbook,
+      sheetName,
+      [
+        { header: "Sheet Name", key: "Sheet Name", width: 25 },
+        { header: "Address", key: "Address", width: 14 },
+        { header: "Property", key: "Property", width: 25 },
+        { header: "Old Value", key: "Old Value", width: 35 },
+        { header: "New Value", key: "New Value", width: 35 },
+      ],
+      data
+    );
+  }
+
+  createKeyDetectionSheet(workbook, sheetName, data) {
+    const sheet = this.createTableSheet(
+      workbook,
+      sheetName,
+      [
+        { header: "Sheet Name", key: "Sheet Name", width: 25 },
+        { header: "Status", key: "Status", width: 12 },
+        { header: "Key Columns", key: "Key Columns", width: 35 },
+        { header: "Score", key: "Score", width: 10 },
+        { header: "Uniqueness", key: "Uniqueness", width: 12 },
+        { header: "Empty Keys", key: "Empty Keys", width: 12 },
+        { header: "Stability", key: "Stability", width: 12 },
+        { header: "Notes", key: "Notes", width: 60 },
+      ],
+      data
+    );
+
+    // Highlight the selected keys
+    data.forEach((record, i) => {
+      if (record.Status === "Selected") {
+        sheet.getRow(i + 2).font = { bold: true };
+      }
     });
   }
+
+  createSchemaSheet(workbook, sheetName, data) {
+    this.createTableSheet(
+      workbook,
+      sheetName,
+      [
+        { header: "Sheet Name", key: "Sheet Name", width: 25 },
+        { header: "Change Type", key: "Change Type", width: 15 },
+        { header: "Column", key: "Column", width: 30 },
+        { header: "Details", key: "Details", width: 60 },
+      ],
+      data
+    );
+  }
 }
 
 // Example usage
@@ -839,7 +6087,7 @@ async function main() {
     },
   });
 
-  comparator.compareSheets();
+  await comparator.compareSheets();
   await comparator.generateReport();
 
   console.log("\n" + "=".repeat(60));
@@ -853,3 +6101,10 @@ if (require.main === module) {
 }
 
 module.exports = ExcelComparator;
+Object.assign(module.exports, {
+  ComparisonError,
+  FileNotFoundError,
+  SheetNotFoundError,
+  ParseError,
+  KeyNotFoundError,
+});
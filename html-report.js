@@ -0,0 +1,702 @@
+/**
+ * Self-contained HTML rendering of a comparison report
+ * Takes the object built by ExcelComparator#buildJsonReport and returns a
+ * single HTML document with inline styles and scripts, no external assets
+ */
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function formatKey(key) {
+  if (!key) return "";
+  return Object.entries(key)
+    .map(([col, value]) => `${col}: ${value}`)
+    .join(", ");
+}
+
+function sheetLabel(sheet) {
+  return sheet.sheetNameNew !== sheet.sheetName
+    ? `${sheet.sheetName} -> ${sheet.sheetNameNew}`
+    : sheet.sheetName;
+}
+
+function formatValues(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== "" && value !== "nan")
+    .map(
+      ([col, value]) =>
+        `<span class="pair"><b>${escapeHtml(col)}</b> ${escapeHtml(
+          value
+        )}</span>`
+    )
+    .join(" ");
+}
+
+function formatChanges(changes) {
+  return changes
+    .map(
+      (change) =>
+        `<span class="pair"><b>${escapeHtml(change.column)}</b> ` +
+        `<del>${escapeHtml(change.oldValue)}</del> ` +
+        `<ins>${escapeHtml(change.newValue)}</ins></span>`
+    )
+    .join(" ");
+}
+
+// A summary row; status is "match", "mismatch", "no" (a Yes/No check that
+// passed) or "info"
+function summaryRow(label, oldValue, newValue, comment, status) {
+  return (
+    `<tr><td>${escapeHtml(label)}</td>` +
+    `<td class="${status}">${escapeHtml(oldValue)}</td>` +
+    `<td class="${status}">${escapeHtml(newValue)}</td>` +
+    `<td>${escapeHtml(comment)}</td></tr>`
+  );
+}
+
+function yesNoRow(label, hasIssue, comment) {
+  return summaryRow(
+    label,
+    "No",
+    hasIssue ? "Yes" : "No",
+    comment,
+    hasIssue ? "mismatch" : "no"
+  );
+}
+
+function summaryTable(title, rows, labels) {
+  return `
+<table class="summary">
+  <thead>
+    <tr><th colspan="3">${escapeHtml(title)}</th><th>Comments</th></tr>
+    <tr><th>Validations</th><th>${escapeHtml(labels.old)}</th><th>${escapeHtml(
+    labels.new
+  )}</th><th></th></tr>
+  </thead>
+  <tbody>${rows.join("")}</tbody>
+</table>`;
+}
+
+function renderSummary(report) {
+  const labels = {
+    old: report.files.old.label,
+    new: report.files.new.label,
+  };
+  const tabs = report.tabs;
+  const tabCountMatch = report.files.old.tabCount === report.files.new.tabCount;
+
+  const overall = [
+    summaryRow(
+      "Total Tabs Count",
+      report.files.old.tabCount,
+      report.files.new.tabCount,
+      tabCountMatch ? "Count Match" : "Count Mismatch",
+      tabCountMatch ? "match" : "mismatch"
+    ),
+    yesNoRow(
+      "Tabs Added",
+      tabs.added.length > 0,
+      tabs.added.length > 0
+        ? `Only in ${labels.new}: ${tabs.added.join(", ")}`
+        : "No new tabs"
+    ),
+    yesNoRow(
+      "Tabs Removed",
+      tabs.removed.length > 0,
+      tabs.removed.length > 0
+        ? `Only in ${labels.old}: ${tabs.removed.join(", ")}`
+        : "No tabs removed"
+    ),
+  ];
+  if (tabs.renamed.length > 0) {
+    overall.push(
+      yesNoRow(
+        "Tabs Renamed",
+        true,
+        tabs.renamed
+          .map(
+            (r) =>
+              `${r.oldName} -> ${r.newName} (${Math.round(
+                r.similarity * 100
+              )}% similar)`
+          )
+          .join(", ")
+      )
+    );
+  }
+
+  if (tabs.mapped.length > 0) {
+    overall.push(
+      summaryRow(
+        "Tabs Mapped",
+        tabs.mapped.length,
+        tabs.mapped.length,
+        tabs.mapped.map((m) => `${m.oldName} -> ${m.newName}`).join(", "),
+        "info"
+      )
+    );
+  }
+
+  if (report.errors.length > 0) {
+    overall.push(
+      yesNoRow(
+        "Errors",
+        true,
+        report.errors.map((e) => `${e.type}: ${e.message}`).join("; ")
+      )
+    );
+  }
+  if (report.warnings.length > 0) {
+    overall.push(
+      yesNoRow(
+        "Warnings",
+        true,
+        report.warnings.map((w) => `${w.type}: ${w.message}`).join("; ")
+      )
+    );
+  }
+
+  const sheets = report.sheets.map((sheet) => {
+    const schema = sheet.schemaChanges;
+    const schemaCount =
+      schema.added.length +
+      schema.removed.length +
+      schema.renamed.length +
+      schema.reordered.length;
+    const rowMatch = sheet.rowCount.old === sheet.rowCount.new;
+    const colMatch = sheet.columnCount.old === sheet.columnCount.new;
+    const title = sheetLabel(sheet);
+
+    const rows = [
+      summaryRow(
+        "Row Count",
+        sheet.rowCount.old,
+        sheet.rowCount.new,
+        rowMatch ? "Row Count is match" : "Row Count is mismatch",
+        rowMatch ? "match" : "mismatch"
+      ),
+      summaryRow(
+        "Column Count",
+        sheet.columnCount.old,
+        sheet.columnCount.new,
+        colMatch ? "Column Count is match" : "Column Count is mismatch",
+        colMatch ? "match" : "mismatch"
+      ),
+    ];
+    if (sheet.ignoredColumns.length > 0) {
+      rows.push(
+        summaryRow(
+          "Ignored Columns",
+          sheet.ignoredColumns.length,
+          sheet.ignoredColumns.length,
+          `Excluded from comparison: ${sheet.ignoredColumns.join(", ")}`,
+          "info"
+        )
+      );
+    }
+
+    // Grid sheets have no records, only cells
+    if (sheet.mode === "grid") {
+      rows.push(...gridSummaryRows(sheet));
+      return summaryTable(`Tab Name: ${title}`, rows, labels);
+    }
+
+    rows.push(
+      yesNoRow(
+        "Schema Changes",
+        schemaCount > 0,
+        schemaCount > 0
+          ? `${schema.added.length} added, ${schema.removed.length} removed, ${schema.renamed.length} renamed, ${schema.reordered.length} reordered columns`
+          : ""
+      ),
+      yesNoRow(
+        "New Records",
+        sheet.summary.new > 0,
+        sheet.summary.new > 0 ? `${sheet.summary.new} new records` : ""
+      ),
+      yesNoRow(
+        "Modified Records",
+        sheet.summary.modified > 0,
+        sheet.summary.modified > 0
+          ? `${sheet.summary.modified} modified records`
+          : ""
+      )
+    );
+    if (sheet.numberFormatChanges.length > 0) {
+      rows.push(
+        yesNoRow(
+          "Number Format Changes",
+          true,
+          `${sheet.numberFormatChanges.length} cells reformatted without a value change`
+        )
+      );
+    }
+    if (sheet.formulaChanges.length > 0) {
+      rows.push(
+        yesNoRow(
+          "Formula Changes",
+          true,
+          `${sheet.formulaChanges.length} cells with a changed, added or removed formula`
+        )
+      );
+    }
+    if (sheet.formattingChanges.length > 0) {
+      rows.push(
+        yesNoRow(
+          "Formatting Changes",
+          true,
+          `${sheet.formattingChanges.length} style, comment, merge, validation or conditional formatting differences`
+        )
+      );
+    }
+    if (sheet.comparisonRules) {
+      rows.push(
+        summaryRow(
+          "Within Tolerance",
+          "",
+          sheet.toleratedDifferences,
+          `Differences ignored by comparison rules - ${sheet.comparisonRules}`,
+          "info"
+        )
+      );
+    }
+    rows.push(
+      yesNoRow(
+        "Deleted Records",
+        sheet.summary.deleted > 0,
+        sheet.summary.deleted > 0
+          ? `${sheet.summary.deleted} deleted records`
+          : ""
+      ),
+      yesNoRow(
+        "Duplicate Records",
+        sheet.duplicates.groups.length > 0,
+        sheet.duplicates.groups.length > 0
+          ? `${sheet.duplicates.groups.length} duplicated keys, ${
+              sheet.duplicates.groups.filter(
+                (group) => group.countOld !== group.countNew
+              ).length
+            } with a different count`
+          : ""
+      )
+    );
+
+    return summaryTable(`Tab Name: ${title}`, rows, labels);
+  });
+
+  return [
+    summaryTable("Tab Validation Summary", overall, labels),
+    ...sheets,
+  ].join("\n");
+}
+
+function gridSummaryRows(sheet) {
+  const alignment = sheet.gridAlignment;
+  const rows = [];
+  [
+    ["Rows Inserted", alignment.rowsInserted],
+    ["Rows Deleted", alignment.rowsDeleted],
+    ["Columns Inserted", alignment.columnsInserted],
+    ["Columns Deleted", alignment.columnsDeleted],
+  ].forEach(([label, items]) => {
+    if (items.length > 0) rows.push(yesNoRow(label, true, items.join(", ")));
+  });
+  rows.push(
+    yesNoRow(
+      "Changed Cells",
+      sheet.gridChanges.length > 0,
+      sheet.gridChanges.length > 0
+        ? `${sheet.gridChanges.length} cells differ`
+        : ""
+    )
+  );
+  if (sheet.formattingChanges.length > 0) {
+    rows.push(
+      yesNoRow(
+        "Formatting Changes",
+        true,
+        `${sheet.formattingChanges.length} style, comment, merge, validation or conditional formatting differences`
+      )
+    );
+  }
+  if (sheet.comparisonRules) {
+    rows.push(
+      summaryRow(
+        "Within Tolerance",
+        "",
+        sheet.toleratedDifferences,
+        `Differences ignored by comparison rules - ${sheet.comparisonRules}`,
+        "info"
+      )
+    );
+  }
+  return rows;
+}
+
+// A filterable, sortable table; rows are arrays of pre-escaped cell HTML
+function recordTable(id, title, headers, rows) {
+  if (rows.length === 0) return "";
+
+  return `
+<section class="records" id="${id}">
+  <h2>${escapeHtml(title)} <span class="count">(${rows.length})</span></h2>
+  <input type="search" class="filter" placeholder="Filter rows...">
+  <table class="sortable">
+    <thead><tr>${headers
+      .map((header) => `<th>${escapeHtml(header)}</th>`)
+      .join("")}</tr></thead>
+    <tbody>${rows
+      .map((cells) => `<tr>${cells.map((c) => `<td>${c}</td>`).join("")}</tr>`)
+      .join("\n")}</tbody>
+  </table>
+</section>`;
+}
+
+function renderRecords(report) {
+  const sections = [];
+  const labels = {
+    old: report.files.old.label,
+    new: report.files.new.label,
+  };
+
+  const schemaRows = [];
+  const newRows = [];
+  const modifiedRows = [];
+  const deletedRows = [];
+  const duplicateRows = [];
+  const formatRows = [];
+  const formulaRows = [];
+  const formattingRows = [];
+  const gridRows = [];
+
+  report.sheets.forEach((sheet) => {
+    const name = escapeHtml(sheetLabel(sheet));
+    const schema = sheet.schemaChanges;
+
+    schema.added.forEach((col) => {
+      schemaRows.push([
+        name,
+        "Added",
+        escapeHtml(col),
+        `Only in ${escapeHtml(labels.new)}`,
+      ]);
+    });
+    schema.removed.forEach((col) => {
+      schemaRows.push([
+        name,
+        "Removed",
+        escapeHtml(col),
+        `Only in ${escapeHtml(labels.old)}`,
+      ]);
+    });
+    schema.renamed.forEach((r) => {
+      schemaRows.push([
+        name,
+        "Renamed",
+        escapeHtml(r.newName),
+        `Renamed from ${escapeHtml(r.oldName)} (${Math.round(
+          r.similarity * 100
+        )}% similar)`,
+      ]);
+    });
+    schema.reordered.forEach((r) => {
+      schemaRows.push([
+        name,
+        "Reordered",
+        escapeHtml(r.column),
+        `Moved from position ${r.oldPosition} to ${r.newPosition}`,
+      ]);
+    });
+
+    sheet.newRecords.forEach((record) => {
+      newRows.push([
+        name,
+        escapeHtml(record.rowNumber),
+        escapeHtml(formatKey(record.key)),
+        formatValues(record.values),
+      ]);
+    });
+    sheet.modifiedRecords.forEach((record) => {
+      modifiedRows.push([
+        name,
+        escapeHtml(record.oldRowNumber),
+        escapeHtml(record.newRowNumber),
+        escapeHtml(formatKey(record.key)),
+        formatChanges(record.changes),
+      ]);
+    });
+    sheet.deletedRecords.forEach((record) => {
+      deletedRows.push([
+        name,
+        escapeHtml(record.rowNumber),
+        escapeHtml(formatKey(record.key)),
+        formatValues(record.values),
+      ]);
+    });
+    sheet.numberFormatChanges.forEach((change) => {
+      formatRows.push([
+        name,
+        escapeHtml(change.oldRowNumber),
+        escapeHtml(change.newRowNumber),
+        escapeHtml(change.column),
+        escapeHtml(change.value),
+        escapeHtml(change.oldFormat),
+        escapeHtml(change.newFormat),
+      ]);
+    });
+    sheet.formulaChanges.forEach((change) => {
+      formulaRows.push([
+        name,
+        escapeHtml(change.oldRowNumber),
+        escapeHtml(change.newRowNumber),
+        escapeHtml(change.column),
+        escapeHtml(change.changeType),
+        escapeHtml(change.oldFormula),
+        escapeHtml(change.newFormula),
+        escapeHtml(change.oldValue),
+        escapeHtml(change.newValue),
+      ]);
+    });
+    sheet.gridChanges.forEach((change) => {
+      gridRows.push([
+        name,
+        escapeHtml(change.oldAddress),
+        escapeHtml(change.newAddress),
+        escapeHtml(change.changeType),
+        escapeHtml(change.oldValue),
+        escapeHtml(change.newValue),
+      ]);
+    });
+    sheet.formattingChanges.forEach((change) => {
+      formattingRows.push([
+        name,
+        escapeHtml(change.address),
+        escapeHtml(change.property),
+        escapeHtml(change.oldValue),
+        escapeHtml(change.newValue),
+      ]);
+    });
+
+    // Rows sharing a key are listed together, after their counts
+    sheet.duplicates.groups.forEach((group) => {
+      const key = escapeHtml(group.key ? formatKey(group.key) : "Full Row");
+      duplicateRows.push([
+        name,
+        `<b>${key}</b>`,
+        `<b>${escapeHtml(
+          `${group.countOld}x ${labels.old}, ${group.countNew}x ${labels.new}`
+        )}</b>`,
+        "",
+        "",
+        "",
+      ]);
+      [
+        [labels.old, group.old],
+        [labels.new, group.new],
+      ].forEach(([label, records]) => {
+        records.forEach((record) => {
+          duplicateRows.push([
+            name,
+            key,
+            "",
+            escapeHtml(label),
+            escapeHtml(record.rowNumber),
+            formatValues(record.values),
+          ]);
+        });
+      });
+    });
+  });
+
+  sections.push(
+    recordTable(
+      "schema-changes",
+      "Schema Changes",
+      ["Sheet Name", "Change Type", "Column", "Details"],
+      schemaRows
+    ),
+    recordTable(
+      "grid-changes",
+      "Grid Changes",
+      [
+        "Sheet Name",
+        "Old Address",
+        "New Address",
+        "Change",
+        "Old Value",
+        "New Value",
+      ],
+      gridRows
+    ),
+    recordTable(
+      "new",
+      "New",
+      ["Sheet Name", "Row Number", "Key", "Full Details"],
+      newRows
+    ),
+    recordTable(
+      "modified",
+      "Modified",
+      ["Sheet Name", "Old Row Number", "New Row Number", "Key", "Changes"],
+      modifiedRows
+    ),
+    recordTable(
+      "deleted",
+      "Deleted",
+      ["Sheet Name", "Row Number", "Key", "Full Details"],
+      deletedRows
+    ),
+    recordTable(
+      "duplicates",
+      "Duplicates",
+      [
+        "Sheet Name",
+        "Key",
+        "Occurrences",
+        "File",
+        "Row Number",
+        "Full Details",
+      ],
+      duplicateRows
+    ),
+    recordTable(
+      "number-format-changes",
+      "Number Format Changes",
+      [
+        "Sheet Name",
+        "Old Row Number",
+        "New Row Number",
+        "Column",
+        "Value",
+        "Old Format",
+        "New Format",
+      ],
+      formatRows
+    ),
+    recordTable(
+      "formula-changes",
+      "Formula Changes",
+      [
+        "Sheet Name",
+        "Old Row Number",
+        "New Row Number",
+        "Column",
+        "Change",
+        "Old Formula",
+        "New Formula",
+        "Old Value",
+        "New Value",
+      ],
+      formulaRows
+    ),
+    recordTable(
+      "formatting-changes",
+      "Formatting Changes",
+      ["Sheet Name", "Address", "Property", "Old Value", "New Value"],
+      formattingRows
+    )
+  );
+
+  return sections.join("\n");
+}
+
+const STYLES = `
+body { font-family: Segoe UI, Arial, sans-serif; margin: 24px; color: #222; }
+h1 { font-size: 22px; margin-bottom: 4px; }
+h2 { font-size: 18px; margin: 32px 0 8px; }
+.meta { color: #666; margin-bottom: 24px; }
+table { border-collapse: collapse; margin-bottom: 16px; width: 100%; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left;
+  vertical-align: top; }
+th { background: #4472c4; color: #fff; }
+table.summary { width: auto; min-width: 720px; }
+table.summary td:nth-child(2), table.summary td:nth-child(3) {
+  text-align: center; }
+td.no { background: #d3d3d3; }
+td.mismatch { background: #ff6b6b; color: #fff; font-weight: bold; }
+table.sortable th { cursor: pointer; user-select: none; }
+table.sortable th.asc::after { content: " \\25B2"; }
+table.sortable th.desc::after { content: " \\25BC"; }
+.filter { padding: 4px 8px; margin-bottom: 8px; width: 320px; }
+.count { color: #666; font-weight: normal; }
+.pair { display: inline-block; margin: 1px 8px 1px 0; }
+del { background: #ffc7ce; color: #9c0006; }
+ins { background: #c6efce; color: #006100; text-decoration: none; }
+`;
+
+const SCRIPT = `
+document.querySelectorAll("section.records").forEach(function (section) {
+  var table = section.querySelector("table");
+  var tbody = table.tBodies[0];
+
+  section.querySelector(".filter").addEventListener("input", function (e) {
+    var needle = e.target.value.toLowerCase();
+    Array.prototype.forEach.call(tbody.rows, function (row) {
+      row.style.display =
+        row.textContent.toLowerCase().indexOf(needle) > -1 ? "" : "none";
+    });
+  });
+
+  Array.prototype.forEach.call(table.tHead.rows[0].cells, function (th, idx) {
+    th.addEventListener("click", function () {
+      var asc = !th.classList.contains("asc");
+      Array.prototype.forEach.call(table.tHead.rows[0].cells, function (c) {
+        c.classList.remove("asc", "desc");
+      });
+      th.classList.add(asc ? "asc" : "desc");
+
+      var rows = Array.prototype.slice.call(tbody.rows);
+      rows.sort(function (a, b) {
+        var x = a.cells[idx].textContent;
+        var y = b.cells[idx].textContent;
+        var cmp =
+          x !== "" && y !== "" && !isNaN(x) && !isNaN(y)
+            ? Number(x) - Number(y)
+            : x.localeCompare(y);
+        return asc ? cmp : -cmp;
+      });
+      rows.forEach(function (row) {
+        tbody.appendChild(row);
+      });
+    });
+  });
+});
+`;
+
+function renderHtmlReport(report) {
+  const title = `${report.files.old.label} vs ${report.files.new.label}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Comparison Report - ${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>Comparison Report</h1>
+<div class="meta">
+  ${escapeHtml(report.files.old.label)}: ${escapeHtml(
+    report.files.old.path
+  )}<br>
+  ${escapeHtml(report.files.new.label)}: ${escapeHtml(
+    report.files.new.path
+  )}<br>
+  Generated ${escapeHtml(report.generatedAt)}
+</div>
+<h2>Validation Summary</h2>
+${renderSummary(report)}
+${renderRecords(report)}
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderHtmlReport };
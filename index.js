@@ -12,5 +12,7 @@ const comparator = new ExcelComparator({
   },
 });
 
-comparator.compareSheets();
-comparator.generateReport();
+comparator
+  .compareSheets()
+  .then(() => comparator.generateReport())
+  .catch(console.error);
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ExcelJS = require("exceljs");
+const ExcelComparator = require("../excel-comparator");
+
+async function writeWorkbook(filePath, rows) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Stock");
+  sheet.addRow(["id", "fruit", "count"]);
+  rows.forEach((row) => sheet.addRow(row));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getColumn(3).numFmt = "0.00";
+  await workbook.xlsx.writeFile(filePath);
+}
+
+const fillColor = (cell) =>
+  cell.fill && cell.fill.fgColor ? cell.fill.fgColor.argb : null;
+const noteText = (note) =>
+  typeof note === "string" ? note : note.texts.map((t) => t.text).join("");
+
+test("the annotated copy marks changes in the new workbook", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const file1Path = path.join(dir, "old.xlsx");
+  const file2Path = path.join(dir, "new.xlsx");
+  await writeWorkbook(file1Path, [
+    [1, "Apple", 5],
+    [2, "Pear", 6],
+    [3, "Plum", 7],
+  ]);
+  await writeWorkbook(file2Path, [
+    [1, "Apple", 5],
+    [3, "Plum", 8],
+    [4, "Fig", 9],
+  ]);
+
+  const comparator = new ExcelComparator({
+    file1Path,
+    file2Path,
+    keyColumns: { Stock: ["id"] },
+    logLevel: "silent",
+  });
+  await comparator.compareSheets();
+  const annotatedPath = path.join(dir, "annotated.xlsx");
+  await comparator.generateAnnotatedWorkbook(annotatedPath);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(annotatedPath);
+  const sheet = workbook.getWorksheet("Stock");
+
+  // The new file's own formatting is kept
+  assert.equal(sheet.getCell("A1").font.bold, true);
+  assert.equal(sheet.getCell("C2").numFmt, "0.00");
+  assert.equal(fillColor(sheet.getCell("C2")), null);
+
+  // Modified cell: filled, with the old value as a note
+  assert.equal(sheet.getCell("C3").value, 8);
+  assert.equal(fillColor(sheet.getCell("C3")), "FFFFEB9C");
+  assert.equal(noteText(sheet.getCell("C3").note), "Old Version: 7");
+  assert.equal(fillColor(sheet.getCell("B3")), null);
+
+  // New row: every cell filled
+  ["A4", "B4", "C4"].forEach((address) => {
+    assert.equal(fillColor(sheet.getCell(address)), "FFC6EFCE");
+  });
+
+  // Deleted row: appended below a marker with its old values
+  assert.equal(
+    sheet.getCell("A6").value,
+    "Deleted records (only in Old Version)"
+  );
+  assert.deepEqual(sheet.getRow(7).values.slice(1), [2, "Pear", 6]);
+  assert.equal(sheet.getCell("B7").font.strike, true);
+  assert.equal(fillColor(sheet.getCell("B7")), "FFFFC7CE");
+});
@@ -0,0 +1,110 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const XLSX = require("xlsx");
+const { run, parseArgs, buildConfig } = require("../cli");
+
+function writeFixtures(dir) {
+  const write = (file, amount) => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.aoa_to_sheet([
+        ["id", "amount"],
+        ["1", amount],
+      ]),
+      "Orders"
+    );
+    const filePath = path.join(dir, file);
+    XLSX.writeFile(workbook, filePath);
+    return filePath;
+  };
+  return [write("old.xlsx", "10"), write("new.xlsx", "12")];
+}
+
+test("the Excel report is only written when asked for or alone", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // The default report would be written to the working directory
+  const cwd = process.cwd();
+  process.chdir(dir);
+  t.after(() => process.chdir(cwd));
+
+  const files = writeFixtures(dir);
+  const jsonPath = path.join(dir, "diff.json");
+  const code = await run([
+    ...files,
+    "--json",
+    jsonPath,
+    "--log-level",
+    "silent",
+  ]);
+  assert.equal(code, 1);
+  assert.deepEqual(fs.readdirSync(dir).sort(), [
+    "diff.json",
+    "new.xlsx",
+    "old.xlsx",
+  ]);
+
+  const reportPath = path.join(dir, "report.xlsx");
+  await run([
+    ...files,
+    "--json",
+    jsonPath,
+    "-o",
+    reportPath,
+    "--log-level",
+    "silent",
+  ]);
+  assert.ok(fs.existsSync(reportPath));
+});
+
+test("unscoped keys and header rows apply to every sheet", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const files = writeFixtures(dir);
+  const config = buildConfig(
+    parseArgs([...files, "--key", "amount", "--header-row", "0"])
+  );
+  assert.deepEqual(config.keyColumns, { "*": ["amount"] });
+  assert.deepEqual(config.headerRows, { "*": 0 });
+
+  // With --sheet they still apply to the sheets named
+  const scoped = buildConfig(
+    parseArgs([...files, "--sheet", "Orders", "--key", "amount"])
+  );
+  assert.deepEqual(scoped.keyColumns, { Orders: ["amount"] });
+
+  // amount is the key, so the changed amount is a deleted and a new record
+  const jsonPath = path.join(dir, "diff.json");
+  await run([
+    ...files,
+    "--key",
+    "amount",
+    "--json",
+    jsonPath,
+    "--log-level",
+    "silent",
+  ]);
+  const [sheet] = JSON.parse(fs.readFileSync(jsonPath, "utf8")).sheets;
+  assert.deepEqual(sheet.keyColumns, ["amount"]);
+  assert.equal(sheet.keyDetection.method, "user");
+  assert.equal(sheet.newRecords.length, 1);
+  assert.equal(sheet.deletedRecords.length, 1);
+});
+
+test("an unknown modified layout is a usage error", () => {
+  assert.equal(
+    parseArgs(["old.xlsx", "new.xlsx", "--modified-layout", "rows"])
+      .modifiedLayout,
+    "rows"
+  );
+  assert.throws(
+    () => parseArgs(["old.xlsx", "new.xlsx", "--modified-layout=colums"]),
+    /--modified-layout must be details, columns or rows, got: colums/
+  );
+});
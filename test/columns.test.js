@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const XLSX = require("xlsx");
+const ExcelComparator = require("../excel-comparator");
+
+// Each export gets new row GUIDs and audit stamps; only order 2's amount and
+// order 3's status really change
+function writeFixtures(dir) {
+  const write = (file, rows) => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.aoa_to_sheet([
+        ["Row GUID", "id", "amount", "status", "Last Updated"],
+        ...rows,
+      ]),
+      "Orders"
+    );
+    const filePath = path.join(dir, file);
+    XLSX.writeFile(workbook, filePath);
+    return filePath;
+  };
+  return {
+    file1Path: write("old.xlsx", [
+      ["a1", "1", "10", "open", "2024-01-01"],
+      ["a2", "2", "20", "open", "2024-01-01"],
+      ["a3", "3", "30", "open", "2024-01-01"],
+    ]),
+    file2Path: write("new.xlsx", [
+      ["b1", "1", "10", "open", "2024-02-01"],
+      ["b2", "2", "25", "open", "2024-02-01"],
+      ["b3", "3", "30", "closed", "2024-02-01"],
+    ]),
+    logLevel: "silent",
+  };
+}
+
+test("ignored columns are left out of key detection and changes", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator({
+    ...writeFixtures(dir),
+    ignoreColumns: { Orders: ["Row GUID", "Last Updated"] },
+  });
+  await comparator.compareSheets();
+
+  const [result] = comparator.results;
+  assert.equal(result.keyColumn, "id");
+  assert.deepEqual(result.ignoredColumns, ["row_guid", "last_updated"]);
+  assert.equal(result.newRecords.length, 0);
+  assert.equal(result.deletedRecords.length, 0);
+  assert.deepEqual(result.columnChanges, { amount: 1, status: 1 });
+});
+
+test("only the listed columns are compared", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator({
+    ...writeFixtures(dir),
+    onlyColumns: { "*": ["id", "amount"] },
+  });
+  await comparator.compareSheets();
+
+  const [result] = comparator.results;
+  assert.equal(result.keyColumn, "id");
+  assert.deepEqual(result.ignoredColumns, [
+    "row_guid",
+    "status",
+    "last_updated",
+  ]);
+  assert.deepEqual(result.columnChanges, { amount: 1 });
+});
+
+test("an ignored column only one file has is no difference", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const write = (file, header, row) => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.aoa_to_sheet([header, row]),
+      "Orders"
+    );
+    const filePath = path.join(dir, file);
+    XLSX.writeFile(workbook, filePath);
+    return filePath;
+  };
+  const comparator = new ExcelComparator({
+    file1Path: write("old.xlsx", ["id", "amount"], ["1", "10"]),
+    file2Path: write("new.xlsx", ["id", "amount", "Audit"], ["1", "10", "x"]),
+    ignoreColumns: { Orders: ["Audit"] },
+    logLevel: "silent",
+  });
+  await comparator.compareSheets();
+
+  assert.deepEqual(comparator.results[0].schemaChanges.added, []);
+  assert.equal(comparator.hasDifferences(), false);
+});
@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ExcelJS = require("exceljs");
+const XLSX = require("xlsx");
+const ExcelComparator = require("../excel-comparator");
+
+function writeWorkbook(dir, file, rows) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet([["id", "color", "qty"], ...rows]),
+    "Stock"
+  );
+  const filePath = path.join(dir, file);
+  XLSX.writeFile(workbook, filePath);
+  return filePath;
+}
+
+// id 1 appears three times in the old file and twice in the new one
+async function compare(dir, config = {}) {
+  const comparator = new ExcelComparator({
+    file1Path: writeWorkbook(dir, "old.xlsx", [
+      ["1", "red", "5"],
+      ["1", "green", "7"],
+      ["1", "blue", "6"],
+      ["2", "white", "1"],
+    ]),
+    file2Path: writeWorkbook(dir, "new.xlsx", [
+      ["1", "blue", "9"],
+      ["1", "red", "5"],
+      ["2", "white", "1"],
+    ]),
+    keyColumns: { Stock: ["id"] },
+    logLevel: "silent",
+    ...config,
+  });
+  await comparator.compareSheets();
+  return comparator;
+}
+
+const changesOf = (comparator) =>
+  comparator
+    .buildJsonReport()
+    .sheets[0].modifiedRecords.map((record) => [
+      record.oldRowNumber,
+      record.newRowNumber,
+      record.changes.map((change) => change.column),
+    ]);
+
+test("rows sharing a key pair identical rows, then by order", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = await compare(dir);
+  const [result] = comparator.results;
+
+  // red is unchanged, green takes blue's place and blue is left over
+  assert.deepEqual(changesOf(comparator), [[3, 2, ["color", "qty"]]]);
+  assert.deepEqual(
+    result.deletedRecords.map((record) => record.color),
+    ["blue"]
+  );
+  assert.equal(result.newRecords.length, 0);
+});
+
+test("secondary key columns pair rows sharing a key", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = await compare(dir, {
+    secondaryKeyColumns: { Stock: ["color"] },
+  });
+  const [result] = comparator.results;
+
+  assert.deepEqual(changesOf(comparator), [[4, 2, ["qty"]]]);
+  assert.deepEqual(
+    result.deletedRecords.map((record) => record.color),
+    ["green"]
+  );
+});
+
+test("duplicated keys are grouped with their counts", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = await compare(dir);
+  const [group] = comparator.buildJsonReport().sheets[0].duplicates.groups;
+  assert.deepEqual(group.key, { id: "1" });
+  assert.equal(group.countOld, 3);
+  assert.equal(group.countNew, 2);
+  assert.deepEqual(
+    group.old.map((row) => row.rowNumber),
+    [2, 3, 4]
+  );
+  assert.deepEqual(
+    group.new.map((row) => row.rowNumber),
+    [2, 3]
+  );
+
+  const reportPath = path.join(dir, "report.xlsx");
+  await comparator.generateReport(reportPath);
+  const report = new ExcelJS.Workbook();
+  await report.xlsx.readFile(reportPath);
+  const sheet = report.getWorksheet("Duplicates");
+
+  // A summary row per key, amber as the count changed, then its rows
+  const summary = sheet.getRow(2);
+  assert.equal(summary.getCell(2).value, "id: 1");
+  assert.match(summary.getCell(3).value, /^3x .+, 2x .+$/);
+  assert.equal(summary.getCell(1).fill.fgColor.argb, "FFFFE699");
+  assert.equal(sheet.rowCount, 7);
+  assert.deepEqual(
+    [3, 4, 5, 6, 7].map((r) => sheet.getRow(r).getCell(2).value),
+    ["id: 1", "id: 1", "id: 1", "id: 1", "id: 1"]
+  );
+});
@@ -0,0 +1,187 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const XLSX = require("xlsx");
+const ExcelComparator = require("../excel-comparator");
+const {
+  FileNotFoundError,
+  SheetNotFoundError,
+  ParseError,
+  KeyNotFoundError,
+} = require("../errors");
+
+function writeFixtures(dir) {
+  const write = (file, amount) => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.aoa_to_sheet([
+        ["id", "amount"],
+        ["1", amount],
+      ]),
+      "Orders"
+    );
+    const filePath = path.join(dir, file);
+    XLSX.writeFile(workbook, filePath);
+    return filePath;
+  };
+  return {
+    file1Path: write("old.xlsx", "10"),
+    file2Path: write("new.xlsx", "12"),
+  };
+}
+
+// A logger that keeps [level, message] pairs
+function memoryLogger() {
+  const lines = [];
+  const logger = {};
+  ["debug", "info", "warn", "error"].forEach((level) => {
+    logger[level] = (message) => lines.push([level, message]);
+  });
+  return { logger, lines };
+}
+
+test("messages below the log level are not logged", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const { logger, lines } = memoryLogger();
+  const comparator = new ExcelComparator({
+    ...writeFixtures(dir),
+    sheets: ["Orders", "Missing"],
+    logger,
+    logLevel: "warn",
+  });
+  await comparator.compareSheets();
+
+  // The missing sheet, once per file
+  assert.deepEqual(
+    lines.map(([level]) => level),
+    ["error", "error"]
+  );
+  assert.match(lines[0][1], /Sheet 'Missing' not found/);
+
+  const quiet = new ExcelComparator({
+    ...writeFixtures(dir),
+    logger,
+    quiet: true,
+  });
+  assert.equal(quiet.logLevel, "error");
+  assert.throws(
+    () => new ExcelComparator({ ...writeFixtures(dir), logLevel: "loud" }),
+    /Invalid logLevel 'loud'/
+  );
+});
+
+test("sheet errors are collected and the other sheets compared", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator({
+    ...writeFixtures(dir),
+    sheets: ["Missing", "Orders"],
+    logLevel: "silent",
+  });
+  const emitted = [];
+  comparator.on("error", (error) => emitted.push(error));
+  await comparator.compareSheets();
+
+  assert.equal(comparator.errors.length, 2);
+  comparator.errors.forEach((error) => {
+    assert.ok(error instanceof SheetNotFoundError);
+    assert.equal(error.sheetName, "Missing");
+  });
+  assert.deepEqual(emitted, comparator.errors);
+  assert.deepEqual(
+    comparator.results.map((result) => result.sheetName),
+    ["Orders"]
+  );
+
+  assert.deepEqual(
+    comparator.buildJsonReport().errors,
+    [comparator.file1Path, comparator.file2Path].map((filePath) => ({
+      type: "SheetNotFoundError",
+      message: `Sheet 'Missing' not found in ${filePath}`,
+      filePath,
+      sheetName: "Missing",
+    }))
+  );
+});
+
+test("strict mode throws the first error", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator({
+    ...writeFixtures(dir),
+    sheets: ["Missing", "Orders"],
+    strict: true,
+    logLevel: "silent",
+  });
+  await assert.rejects(comparator.compareSheets(), SheetNotFoundError);
+  assert.equal(comparator.results.length, 0);
+});
+
+test("missing key columns are a warning and a key detected", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator({
+    ...writeFixtures(dir),
+    keyColumns: { Orders: ["order_no"] },
+    logLevel: "silent",
+  });
+  const warned = [];
+  comparator.on("warning", (warning) => warned.push(warning));
+  await comparator.compareSheets();
+
+  assert.deepEqual(comparator.errors, []);
+  const [warning] = comparator.warnings;
+  assert.ok(warning instanceof KeyNotFoundError);
+  assert.deepEqual(warning.columns, ["order_no"]);
+  assert.deepEqual(warned, comparator.warnings);
+  assert.equal(
+    comparator.buildJsonReport().warnings[0].type,
+    "KeyNotFoundError"
+  );
+  assert.equal(comparator.results[0].modifiedRecords.length, 1);
+});
+
+test("missing files throw and unreadable ones are collected", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const { file1Path } = writeFixtures(dir);
+  assert.throws(
+    () =>
+      new ExcelComparator({
+        file1Path,
+        file2Path: path.join(dir, "missing.xlsx"),
+      }),
+    FileNotFoundError
+  );
+
+  const corruptPath = path.join(dir, "corrupt.xlsx");
+  fs.writeFileSync(corruptPath, Buffer.from("PK\u0003\u0004broken"));
+  const comparator = new ExcelComparator({
+    file1Path,
+    file2Path: corruptPath,
+    logLevel: "silent",
+  });
+  await comparator.compareSheets();
+  assert.equal(comparator.errors.length, 1);
+  assert.ok(comparator.errors[0] instanceof ParseError);
+  assert.equal(comparator.errors[0].filePath, corruptPath);
+  assert.deepEqual(comparator.results, []);
+  await comparator.generateReport(path.join(dir, "report.xlsx"));
+
+  const strict = new ExcelComparator({
+    file1Path,
+    file2Path: corruptPath,
+    strict: true,
+    logLevel: "silent",
+  });
+  await assert.rejects(strict.compareSheets(), ParseError);
+});
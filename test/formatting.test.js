@@ -0,0 +1,129 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ExcelJS = require("exceljs");
+const ExcelComparator = require("../excel-comparator");
+
+// The same values in both files; restyle() changes the formatting of the
+// new one
+async function writeWorkbook(filePath, restyle = () => {}) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Template");
+  sheet.addRow(["id", "name", "q1", "q2"]);
+  sheet.addRow([1, "Apple", 5, 6]);
+  sheet.addRow([2, "Pear", 7, 8]);
+  restyle(sheet);
+  await workbook.xlsx.writeFile(filePath);
+  return filePath;
+}
+
+async function compare(dir, restyle) {
+  const comparator = new ExcelComparator({
+    file1Path: await writeWorkbook(path.join(dir, "old.xlsx")),
+    file2Path: await writeWorkbook(path.join(dir, "new.xlsx"), restyle),
+    keyColumns: { Template: ["id"] },
+    compareFormatting: true,
+    logLevel: "silent",
+  });
+  await comparator.compareSheets();
+  return comparator;
+}
+
+test("identical templates have no formatting changes", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = await compare(dir);
+  assert.deepEqual(comparator.results[0].formattingChanges, []);
+  assert.equal(comparator.hasDifferences(), false);
+});
+
+test("styles, comments, merges and validations are diffed", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = await compare(dir, (sheet) => {
+    sheet.getCell("B2").font = { bold: true };
+    sheet.getCell("A3").note = "Check this";
+    sheet.mergeCells("C1:D1");
+    sheet.getCell("B3").dataValidation = {
+      type: "list",
+      formulae: ['"Apple,Pear"'],
+    };
+  });
+
+  const [result] = comparator.results;
+  assert.deepEqual(
+    result.formattingChanges.map((change) => [
+      change.address,
+      change.property,
+      change.oldValue,
+      change.newValue,
+    ]),
+    [
+      ["C1:D1", "merged cells", "", "Merged"],
+      ["B2", "font.bold", "", "true"],
+      ["A3", "comment", "", "Check this"],
+      ["B3", "data validation", "", 'list "Apple,Pear"'],
+    ]
+  );
+  assert.equal(comparator.hasDifferences(), true);
+
+  const reportPath = path.join(dir, "report.xlsx");
+  await comparator.generateReport(reportPath);
+  const report = new ExcelJS.Workbook();
+  await report.xlsx.readFile(reportPath);
+  const sheet = report.getWorksheet("Formatting Changes");
+  assert.deepEqual(sheet.getRow(1).values.slice(1), [
+    "Sheet Name",
+    "Address",
+    "Property",
+    "Old Value",
+    "New Value",
+  ]);
+  assert.deepEqual(sheet.getRow(3).values.slice(1), [
+    "Template",
+    "B2",
+    "font.bold",
+    "",
+    "true",
+  ]);
+});
+
+test("cells pair by record when rows move", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // Pear keeps its bold name, one row further down in the new file
+  const write = async (file, rows) => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet("Template");
+    sheet.addRow(["id", "name", "q1", "q2"]);
+    rows.forEach((row) => {
+      const added = sheet.addRow(row);
+      if (row[1] === "Pear") added.getCell(2).font = { bold: true };
+    });
+    const filePath = path.join(dir, file);
+    await workbook.xlsx.writeFile(filePath);
+    return filePath;
+  };
+  const comparator = new ExcelComparator({
+    file1Path: await write("old.xlsx", [
+      [1, "Apple", 5, 6],
+      [2, "Pear", 7, 8],
+    ]),
+    file2Path: await write("new.xlsx", [
+      [1, "Apple", 5, 6],
+      [3, "Plum", 1, 2],
+      [2, "Pear", 7, 8],
+    ]),
+    keyColumns: { Template: ["id"] },
+    compareFormatting: true,
+    logLevel: "silent",
+  });
+  await comparator.compareSheets();
+
+  assert.deepEqual(comparator.results[0].formattingChanges, []);
+});
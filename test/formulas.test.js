@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ExcelJS = require("exceljs");
+const ExcelComparator = require("../excel-comparator");
+
+async function writeWorkbook(filePath, totals) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Calc");
+  sheet.addRow(["id", "a", "b", "total"]);
+  totals.forEach((total, i) => sheet.addRow([i + 1, 1, 2, total]));
+  await workbook.xlsx.writeFile(filePath);
+}
+
+test("formula changes are reported with a styled tab", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const file1Path = path.join(dir, "old.xlsx");
+  const file2Path = path.join(dir, "new.xlsx");
+  await writeWorkbook(file1Path, [
+    { formula: "SUM(B2:C2)", result: 3 },
+    { formula: "B3+C3", result: 3 },
+    3,
+    { formula: "B5+C5", result: 3 },
+  ]);
+  await writeWorkbook(file2Path, [
+    { formula: "B2+C2", result: 3 },
+    3,
+    { formula: "B4+C4", result: 3 },
+    { formula: "B5+C5", result: 3 },
+  ]);
+
+  const comparator = new ExcelComparator({
+    file1Path,
+    file2Path,
+    keyColumns: { Calc: ["id"] },
+    compareFormulas: true,
+    logLevel: "silent",
+  });
+  const [result] = await comparator.compareSheets();
+  assert.deepEqual(
+    result.formulaChanges.map((change) => [
+      change.changeType,
+      change.oldFormula,
+      change.newFormula,
+    ]),
+    [
+      ["Formula changed", "=SUM(B2:C2)", "=B2+C2"],
+      ["Formula replaced by constant", "=B3+C3", ""],
+      ["Constant replaced by formula", "", "=B4+C4"],
+    ]
+  );
+  assert.equal(result.modifiedRecords.length, 0);
+
+  const reportPath = path.join(dir, "report.xlsx");
+  await comparator.generateReport(reportPath);
+  const report = new ExcelJS.Workbook();
+  await report.xlsx.readFile(reportPath);
+  const sheet = report.getWorksheet("Formula Changes");
+  assert.ok(sheet, "the report has a Formula Changes tab");
+  assert.equal(sheet.rowCount, 4);
+  const header = sheet.getCell("A1");
+  assert.equal(header.font.bold, true);
+  assert.equal(header.fill.fgColor.argb, "FF4472C4");
+});
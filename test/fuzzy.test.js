@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const XLSX = require("xlsx");
+const ExcelComparator = require("../excel-comparator");
+
+// Repeated rows leave the sheet without a unique key
+function writeWorkbook(dir, file, amount) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet([
+      ["name", "city", "amount"],
+      ["Ann", "Paris", amount],
+      ["Bob", "Rome", "200"],
+      ["Bob", "Rome", "200"],
+      ["Cid", "Oslo", "300"],
+      ["Cid", "Oslo", "300"],
+    ]),
+    "People"
+  );
+  const filePath = path.join(dir, file);
+  XLSX.writeFile(workbook, filePath);
+  return filePath;
+}
+
+async function compare(dir, newAmount, config = {}) {
+  const comparator = new ExcelComparator({
+    file1Path: writeWorkbook(dir, "old.xlsx", "100"),
+    file2Path: writeWorkbook(dir, "new.xlsx", newAmount),
+    logLevel: "silent",
+    ...config,
+  });
+  await comparator.compareSheets();
+  return comparator;
+}
+
+test("an edited row without a key is a delete plus an insert", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const [result] = (await compare(dir, "105")).results;
+  assert.equal(result.keyColumn, "Full Row Hash");
+  assert.equal(result.newRecords.length, 1);
+  assert.equal(result.deletedRecords.length, 1);
+  assert.equal(result.modifiedRecords.length, 0);
+});
+
+test("fuzzy matching pairs the edited row as a modification", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = await compare(dir, "105", { fuzzyMatching: true });
+  const [result] = comparator.results;
+  assert.equal(result.keyColumn, "Fuzzy Match (80% similar)");
+  assert.equal(result.fuzzyMatched, 1);
+  assert.equal(result.newRecords.length, 0);
+  assert.equal(result.deletedRecords.length, 0);
+  assert.deepEqual(result.columnChanges, { amount: 1 });
+
+  const [modified] = comparator.buildJsonReport().sheets[0].modifiedRecords;
+  assert.equal(modified.oldRowNumber, 2);
+  assert.equal(modified.newRowNumber, 2);
+  assert.ok(modified.similarity > 0.95 && modified.similarity < 1);
+  assert.deepEqual(modified.changes, [
+    { column: "amount", oldValue: "100", newValue: "105" },
+  ]);
+});
+
+test("column weights and the threshold decide which rows pair", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // amount is a third off: 89% similar unweighted, 76% at weight 5
+  const unweighted = await compare(dir, "150", { fuzzyMatching: true });
+  assert.equal(unweighted.results[0].fuzzyMatched, 1);
+
+  const weighted = await compare(dir, "150", {
+    fuzzyMatching: true,
+    columnWeights: { "*": { amount: 5 } },
+  });
+  assert.equal(weighted.results[0].fuzzyMatched, 0);
+  assert.equal(weighted.results[0].newRecords.length, 1);
+
+  const strict = await compare(dir, "150", {
+    fuzzyMatching: true,
+    fuzzyThreshold: 0.9,
+  });
+  assert.equal(strict.results[0].fuzzyMatched, 0);
+
+  assert.throws(
+    () =>
+      new ExcelComparator({
+        file1Path: "old.xlsx",
+        file2Path: "new.xlsx",
+        fuzzyThreshold: 2,
+      }),
+    /Invalid fuzzyThreshold '2'/
+  );
+});
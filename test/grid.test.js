@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const XLSX = require("xlsx");
+const ExcelComparator = require("../excel-comparator");
+const { parseArgs, buildConfig } = require("../cli");
+
+const OLD_FORM = [
+  ["Statement", "", ""],
+  ["Revenue", 100, 120],
+  ["Costs", 40, 50],
+  ["Profit", 60, 70],
+];
+// A row inserted after Revenue, and the profit of the second period changed
+const NEW_FORM = [
+  ["Statement", "", ""],
+  ["Revenue", 100, 120],
+  ["Other income", 5, 6],
+  ["Costs", 40, 50],
+  ["Profit", 60, 75],
+];
+
+function writeForms(dir) {
+  const write = (file, rows) => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.aoa_to_sheet(rows),
+      "Form"
+    );
+    const filePath = path.join(dir, file);
+    XLSX.writeFile(workbook, filePath);
+    return filePath;
+  };
+  return {
+    file1Path: write("old.xlsx", OLD_FORM),
+    file2Path: write("new.xlsx", NEW_FORM),
+    sheetModes: { "*": "grid" },
+    logLevel: "silent",
+  };
+}
+
+test("aligned grids report an inserted row and the changed cell", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator({
+    ...writeForms(dir),
+    alignGrid: true,
+  });
+  const [result] = await comparator.compareSheets();
+  assert.equal(result.mode, "grid");
+  assert.deepEqual(result.gridAlignment.rowsInserted, [3]);
+  assert.deepEqual(result.gridAlignment.rowsDeleted, []);
+  assert.deepEqual(
+    result.gridChanges.map((change) => [
+      change.changeType,
+      change.oldAddress,
+      change.newAddress,
+    ]),
+    [
+      ["Row inserted", "", "A3"],
+      ["Row inserted", "", "B3"],
+      ["Row inserted", "", "C3"],
+      ["Changed", "C4", "C5"],
+    ]
+  );
+});
+
+test("grids compare by address without alignment", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator(writeForms(dir));
+  const [result] = await comparator.compareSheets();
+  assert.deepEqual(result.gridAlignment.rowsInserted, []);
+  assert.ok(
+    result.gridChanges.every((change) => change.changeType === "Changed")
+  );
+  assert.deepEqual(result.gridChanges[0], {
+    changeType: "Changed",
+    oldAddress: "A3",
+    newAddress: "A3",
+    oldValue: "Costs",
+    newValue: "Other income",
+  });
+});
+
+test("--mode without a sheet applies to every sheet", () => {
+  const config = buildConfig(
+    parseArgs([
+      "old.xlsx",
+      "new.xlsx",
+      "--mode",
+      "grid",
+      "--mode",
+      "Orders=records",
+    ])
+  );
+  assert.deepEqual(config.sheetModes, { "*": "grid", Orders: "records" });
+});
@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const XLSX = require("xlsx");
+const ExcelComparator = require("../excel-comparator");
+
+// A title banner and a blank row above a two-row header whose first row is
+// merged across each quarter, then two rows of data and a totals footer
+function writeReport(dir) {
+  const sheet = XLSX.utils.aoa_to_sheet([
+    ["Quarterly sales"],
+    [],
+    ["Region", "Q1", "", "Q2", ""],
+    ["", "Plan", "Actual", "Plan", "Actual"],
+    ["North", "10", "12", "11", "9"],
+    ["South", "20", "18", "21", "22"],
+    ["Total", "30", "30", "32", "31"],
+  ]);
+  sheet["!merges"] = [
+    XLSX.utils.decode_range("A3:A4"),
+    XLSX.utils.decode_range("B3:C3"),
+    XLSX.utils.decode_range("D3:E3"),
+  ];
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, "Sales");
+  const filePath = path.join(dir, "report.xlsx");
+  XLSX.writeFile(workbook, filePath);
+  return filePath;
+}
+
+function readSales(filePath, headerRows) {
+  const comparator = new ExcelComparator({
+    file1Path: filePath,
+    file2Path: filePath,
+    headerRows,
+    logLevel: "silent",
+  });
+  return comparator.readSheet(filePath, "Sales");
+}
+
+test("multi-row merged headers become compound column names", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const data = readSales(writeReport(dir), {
+    Sales: { headerRow: 2, headerRowCount: 2, dataEndRow: 5 },
+  });
+  assert.deepEqual(Object.keys(data[0]), [
+    "region",
+    "q1_plan",
+    "q1_actual",
+    "q2_plan",
+    "q2_actual",
+  ]);
+  assert.deepEqual(data.map(Object.values), [
+    ["north", "10", "12", "11", "9"],
+    ["south", "20", "18", "21", "22"],
+  ]);
+});
+
+test("the header row is found below a title banner", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const data = readSales(writeReport(dir), { Sales: { headerRowCount: 2 } });
+  assert.deepEqual(Object.keys(data[0]), [
+    "region",
+    "q1_plan",
+    "q1_actual",
+    "q2_plan",
+    "q2_actual",
+  ]);
+  assert.deepEqual(
+    data.map((row) => row.region),
+    ["north", "south", "total"]
+  );
+});
+
+test("data start rows skip the rows after the header", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const data = readSales(writeReport(dir), {
+    "*": { headerRow: 2, dataStartRow: 5 },
+  });
+  assert.deepEqual(
+    data.map((row) => row.region),
+    ["south", "total"]
+  );
+});
@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const XLSX = require("xlsx");
+const ExcelComparator = require("../excel-comparator");
+
+function writeWorkbook(dir, file, rows) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet([["id", "fruit", "count"], ...rows]),
+    "Stock"
+  );
+  const filePath = path.join(dir, file);
+  XLSX.writeFile(workbook, filePath);
+  return filePath;
+}
+
+test("the HTML report is one offline page with cell-level diffs", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator({
+    file1Path: writeWorkbook(dir, "old.xlsx", [
+      ["1", "Apple", "5"],
+      ["2", "<b>Pear & co</b>", "6"],
+      ["3", "Plum", "7"],
+    ]),
+    file2Path: writeWorkbook(dir, "new.xlsx", [
+      ["1", "Apple", "5"],
+      ["3", "Plum", "8"],
+      ["4", "Fig", "9"],
+    ]),
+    keyColumns: { Stock: ["id"] },
+    logLevel: "silent",
+  });
+  await comparator.compareSheets();
+  const reportPath = path.join(dir, "report.html");
+  assert.equal(await comparator.generateHtmlReport(reportPath), reportPath);
+  const html = fs.readFileSync(reportPath, "utf8");
+
+  // Styles and scripts are inline, nothing is fetched
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /<style>/);
+  assert.match(html, /<script>/);
+  assert.doesNotMatch(html, /<link|<script src|(src|href)="https?:/);
+
+  // The summary, then filterable and sortable tables per record type
+  assert.match(html, /<h2>Validation Summary<\/h2>/);
+  ["new", "modified", "deleted"].forEach((id) => {
+    assert.match(html, new RegExp(`<section class="records" id="${id}">`));
+  });
+  assert.doesNotMatch(html, /id="duplicates"/);
+  assert.match(html, /<input type="search" class="filter"/);
+  assert.match(html, /<table class="sortable">/);
+
+  assert.match(html, /<b>count<\/b> <del>7<\/del> <ins>8<\/ins>/);
+  assert.match(html, /&lt;b&gt;pear &amp; co&lt;\/b&gt;/);
+  assert.doesNotMatch(html, /<b>pear/);
+});
@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const XLSX = require("xlsx");
+const ExcelComparator = require("../excel-comparator");
+
+const ROWS = [
+  ["id", "name", "note"],
+  ["1", "Café", "plain"],
+  ["2", "Pear", "with, comma"],
+];
+
+function writeWorkbook(filePath, rows = ROWS) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet(rows),
+    "Orders"
+  );
+  XLSX.writeFile(workbook, filePath);
+  return filePath;
+}
+
+async function compare(config) {
+  const comparator = new ExcelComparator({
+    keyColumns: { Orders: ["id"] },
+    logLevel: "silent",
+    ...config,
+  });
+  await comparator.compareSheets();
+  return comparator.results;
+}
+
+test("a CSV is compared against the only sheet of a workbook", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // Quoted fields keep their commas, doubled quotes and line breaks
+  const csvPath = path.join(dir, "new.csv");
+  fs.writeFileSync(
+    csvPath,
+    'id,name,note\r\n1,Café,"two\nlines"\r\n2,Pear,"with, ""comma"""\r\n'
+  );
+  const comparator = new ExcelComparator({
+    file1Path: writeWorkbook(path.join(dir, "old.xlsx")),
+    file2Path: csvPath,
+    keyColumns: { Orders: ["id"] },
+    logLevel: "silent",
+  });
+  await comparator.compareSheets();
+
+  const [result] = comparator.results;
+  assert.equal(result.sheetName, "Orders");
+  assert.equal(result.rowCountFile2, 2);
+  assert.deepEqual(result.columnChanges, { note: 2 });
+  assert.deepEqual(
+    comparator
+      .buildJsonReport()
+      .sheets[0].modifiedRecords.map((record) => record.changes[0].newValue),
+    ["two\nlines", 'with, "comma"']
+  );
+});
+
+test("delimiter, quote and encoding options read other CSV dialects", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const csvPath = path.join(dir, "new.txt");
+  fs.writeFileSync(
+    csvPath,
+    Buffer.from("id;name;note\n1;Café;plain\n2;Pear;'with, comma'\n", "latin1")
+  );
+  const [result] = await compare({
+    file1Path: writeWorkbook(path.join(dir, "old.xlsx")),
+    file2Path: csvPath,
+    file2Options: {
+      format: "csv",
+      delimiter: ";",
+      quote: "'",
+      encoding: "latin1",
+    },
+  });
+
+  assert.equal(result.rowCountFile2, 2);
+  assert.equal(result.modifiedRecords.length, 0);
+  assert.equal(result.newRecords.length, 0);
+});
+
+test("a TSV can name its sheet to match a CSV", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const csvPath = path.join(dir, "old.csv");
+  const tsvPath = path.join(dir, "new.tsv");
+  fs.writeFileSync(csvPath, "id,name\n1,Apple\n2,Pear\n");
+  fs.writeFileSync(tsvPath, "id\tname\n1\tApple\n2\tPlum\n");
+  const [result] = await compare({
+    file1Path: csvPath,
+    file2Path: tsvPath,
+    file1Options: { sheetName: "Orders" },
+    file2Options: { sheetName: "Orders" },
+  });
+
+  assert.equal(result.sheetName, "Orders");
+  assert.deepEqual(result.columnChanges, { name: 1 });
+});
+
+test("ODS and XLSB workbooks are read like XLSX", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const [result] = await compare({
+    file1Path: writeWorkbook(path.join(dir, "old.ods")),
+    file2Path: writeWorkbook(path.join(dir, "new.xlsb"), [
+      ...ROWS,
+      ["3", "Plum", ""],
+    ]),
+  });
+
+  assert.equal(result.modifiedRecords.length, 0);
+  assert.equal(result.newRecords.length, 1);
+  assert.equal(result.newRecords[0].id, "3");
+});
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const XLSX = require("xlsx");
+const ExcelComparator = require("../excel-comparator");
+
+function writeWorkbook(dir, file, rows) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet([["id", "count"], ...rows]),
+    "Stock"
+  );
+  const filePath = path.join(dir, file);
+  XLSX.writeFile(workbook, filePath);
+  return filePath;
+}
+
+test("the JSON report lists records with keys and row numbers", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator({
+    file1Path: writeWorkbook(dir, "old.xlsx", [
+      ["1", "5"],
+      ["2", "6"],
+      ["3", "7"],
+    ]),
+    file2Path: writeWorkbook(dir, "new.xlsx", [
+      ["1", "5"],
+      ["3", "8"],
+      ["4", "9"],
+    ]),
+    keyColumns: { Stock: ["id"] },
+    logLevel: "silent",
+  });
+  await comparator.compareSheets();
+  const reportPath = path.join(dir, "report.json");
+  assert.equal(await comparator.generateJsonReport(reportPath), reportPath);
+
+  const report = JSON.parse(fs.readFileSync(reportPath, "utf8"));
+  assert.equal(report.schemaVersion, 1);
+  assert.equal(report.hasDifferences, true);
+  assert.equal(report.files.old.label, "Old Version");
+  assert.deepEqual(report.tabs, {
+    added: [],
+    removed: [],
+    renamed: [],
+    mapped: [],
+  });
+
+  const [sheet] = report.sheets;
+  assert.equal(sheet.sheetName, "Stock");
+  assert.deepEqual(sheet.keyColumns, ["id"]);
+  assert.deepEqual(sheet.rowCount, { old: 3, new: 3 });
+  assert.deepEqual(sheet.newRecords, [
+    { key: { id: "4" }, rowNumber: 4, values: { id: "4", count: "9" } },
+  ]);
+  assert.deepEqual(sheet.deletedRecords, [
+    { key: { id: "2" }, rowNumber: 3, values: { id: "2", count: "6" } },
+  ]);
+  assert.deepEqual(sheet.duplicates, { old: [], new: [], groups: [] });
+  assert.deepEqual(
+    sheet.modifiedRecords.map((record) => [
+      record.key,
+      record.oldRowNumber,
+      record.newRowNumber,
+      record.changes,
+    ]),
+    [[{ id: "3" }, 4, 3, [{ column: "count", oldValue: "7", newValue: "8" }]]]
+  );
+});
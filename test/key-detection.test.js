@@ -0,0 +1,142 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ExcelJS = require("exceljs");
+const XLSX = require("xlsx");
+const ExcelComparator = require("../excel-comparator");
+
+function writeWorkbook(dir, file, rows) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet(rows),
+    "Orders"
+  );
+  const filePath = path.join(dir, file);
+  XLSX.writeFile(workbook, filePath);
+  return filePath;
+}
+
+async function compare(dir, oldRows, newRows) {
+  const comparator = new ExcelComparator({
+    file1Path: writeWorkbook(dir, "old.xlsx", oldRows),
+    file2Path: writeWorkbook(dir, "new.xlsx", newRows),
+    logLevel: "silent",
+  });
+  await comparator.compareSheets();
+  return comparator;
+}
+
+test("a unique identifier beats a sparse leading column", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // note is distinct wherever it is filled, region repeats
+  const rows = [["note", "region", "order_no", "amount"]];
+  for (let i = 1; i <= 20; i++) {
+    rows.push([i % 4 === 0 ? "" : `note ${i}`, `r${i % 3}`, `A-${i}`, `${i}`]);
+  }
+  const comparator = await compare(dir, rows, rows);
+
+  const [result] = comparator.results;
+  assert.deepEqual(result.keyColumns, ["order_no"]);
+  const { method, collisions, candidates } = result.keyDetection;
+  assert.equal(method, "auto");
+  assert.equal(collisions, 0);
+  assert.deepEqual(candidates[0].columns, ["order_no"]);
+  assert.equal(candidates[0].selected, true);
+  assert.ok(candidates[0].nameHint);
+  assert.ok(candidates.length > 1);
+});
+
+test("a composite key is chosen when no column is unique", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const rows = [["region", "month", "sales"]];
+  ["north", "south", "east", "west"].forEach((region) => {
+    ["jan", "feb", "mar"].forEach((month, i) => {
+      rows.push([region, month, `${i * 10}`]);
+    });
+  });
+  const comparator = await compare(dir, rows, rows);
+
+  const [result] = comparator.results;
+  assert.deepEqual(result.keyColumns, ["region", "month"]);
+  assert.equal(result.keyDetection.candidates[0].unique, true);
+});
+
+test("collisions of a near-unique key are flagged in the report", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // 24 ids and an exact copy of the first row, so no key is unique
+  const rows = [["id", "status"]];
+  for (let i = 1; i <= 24; i++) rows.push([`${i}`, "open"]);
+  rows.push(["1", "open"]);
+  const comparator = await compare(dir, rows, rows);
+
+  const [result] = comparator.results;
+  assert.deepEqual(result.keyColumns, ["id"]);
+  assert.equal(result.keyDetection.collisions, 2);
+
+  const reportPath = path.join(dir, "report.xlsx");
+  await comparator.generateReport(reportPath);
+  const report = new ExcelJS.Workbook();
+  await report.xlsx.readFile(reportPath);
+  const sheet = report.getWorksheet("Key Detection");
+  assert.deepEqual(sheet.getRow(1).values.slice(1), [
+    "Sheet Name",
+    "Status",
+    "Key Columns",
+    "Score",
+    "Uniqueness",
+    "Empty Keys",
+    "Stability",
+    "Notes",
+  ]);
+  const selected = sheet.getRow(2);
+  assert.deepEqual(selected.values.slice(1, 4), ["Orders", "Selected", "id"]);
+  assert.equal(selected.getCell(5).value, "96%");
+  assert.match(selected.getCell(8).value, /2 duplicate keys/);
+  assert.equal(selected.font.bold, true);
+  assert.equal(sheet.getRow(3).getCell(2).value, "Runner-up");
+});
+
+test("unique measures rank below identifiers", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const rows = [["price", "label"]];
+  for (let i = 1; i <= 10; i++) rows.push([`${i}.25`, `item ${i}`]);
+  const comparator = await compare(dir, rows, rows);
+
+  const { candidates } = comparator.results[0].keyDetection;
+  assert.deepEqual(
+    candidates.map((candidate) => candidate.columns),
+    [["label"], ["price"]]
+  );
+  assert.equal(candidates[1].measureRate, 1);
+});
+
+test("user-specified keys are left out of the Key Detection sheet", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const rows = [
+    ["id", "amount"],
+    ["1", "10"],
+  ];
+  const comparator = new ExcelComparator({
+    file1Path: writeWorkbook(dir, "old.xlsx", rows),
+    file2Path: writeWorkbook(dir, "new.xlsx", rows),
+    keyColumns: { Orders: ["id"] },
+    logLevel: "silent",
+  });
+  await comparator.compareSheets();
+
+  assert.equal(comparator.results[0].keyDetection.method, "user");
+  assert.deepEqual(comparator.formatKeyDetection(), []);
+});
@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const XLSX = require("xlsx");
+const ExcelComparator = require("../excel-comparator");
+
+function writeWorkbook(dir, file, rows) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet(rows),
+    "Products"
+  );
+  const filePath = path.join(dir, file);
+  XLSX.writeFile(workbook, filePath);
+  return filePath;
+}
+
+const HEADER = ["id", "code", "name", "note", "status", "phone"];
+
+function writeFixtures(dir) {
+  return {
+    file1Path: writeWorkbook(dir, "old.xlsx", [
+      HEADER,
+      ["1", "AB-1", "Apple", "two  words", "N/A", "555-0100"],
+      ["2", "CD-2", "Pear", "x", "TRUE", "555 0101"],
+    ]),
+    file2Path: writeWorkbook(dir, "new.xlsx", [
+      HEADER,
+      ["1", "ab-1", "apple", "two words", "", "(555) 0100"],
+      ["2", "CD-2", "PEAR", "x", "Yes", "5550101"],
+    ]),
+    normalization: {
+      Products: {
+        code: { caseSensitive: true },
+        note: { collapseWhitespace: true, unicode: "NFKC" },
+        status: {
+          equivalents: [
+            ["N/A", ""],
+            ["TRUE", "Yes"],
+          ],
+        },
+        phone: { replacements: [{ pattern: "[^0-9]" }] },
+      },
+    },
+    logLevel: "silent",
+  };
+}
+
+test("each column is normalized by its own pipeline", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator({
+    ...writeFixtures(dir),
+    keyColumns: { Products: ["id"] },
+  });
+  await comparator.compareSheets();
+
+  // Only the case of the case-sensitive code differs
+  const [result] = comparator.results;
+  assert.equal(result.modifiedRecords.length, 1);
+  assert.deepEqual(result.columnChanges, { code: 1 });
+});
+
+test("keys are matched by their normalized values", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator({
+    ...writeFixtures(dir),
+    keyColumns: { Products: ["code"] },
+  });
+  await comparator.compareSheets();
+
+  const [result] = comparator.results;
+  assert.equal(result.newRecords.length, 1);
+  assert.equal(result.newRecords[0].code, "ab-1");
+  assert.equal(result.deletedRecords.length, 1);
+  assert.equal(result.deletedRecords[0].code, "AB-1");
+  assert.equal(result.modifiedRecords.length, 0);
+});
+
+test("an invalid normalization is rejected up front", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  assert.throws(
+    () =>
+      new ExcelComparator({
+        ...writeFixtures(dir),
+        normalization: { Products: { phone: { unicode: "NFX" } } },
+      }),
+    /Invalid normalization for 'Products' \/ 'phone'/
+  );
+});
+
+test("replacements are applied once", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator({
+    file1Path: writeWorkbook(dir, "old.xlsx", [
+      ["id", "ref"],
+      ["1", "xxa"],
+    ]),
+    file2Path: writeWorkbook(dir, "new.xlsx", [
+      ["id", "ref"],
+      ["1", "xa"],
+    ]),
+    keyColumns: { Products: ["id"] },
+    normalization: { Products: { ref: { replacements: [{ pattern: "^x" }] } } },
+    logLevel: "silent",
+  });
+  await comparator.compareSheets();
+
+  // A second pass would strip both values down to "a"
+  const [result] = comparator.results;
+  assert.deepEqual(result.columnChanges, { ref: 1 });
+});
@@ -0,0 +1,159 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const XLSX = require("xlsx");
+const ExcelComparator = require("../excel-comparator");
+
+// Two sheets of [id, amount] rows, one of them with a changed amount
+function writeFixtures(dir) {
+  const write = (file, amount) => {
+    const workbook = XLSX.utils.book_new();
+    ["Orders", "Returns"].forEach((name) => {
+      XLSX.utils.book_append_sheet(
+        workbook,
+        XLSX.utils.aoa_to_sheet([
+          ["id", "amount"],
+          ["1", "10"],
+          ["2", amount],
+        ]),
+        name
+      );
+    });
+    const filePath = path.join(dir, file);
+    XLSX.writeFile(workbook, filePath);
+    return filePath;
+  };
+  return {
+    file1Path: write("old.xlsx", "20"),
+    file2Path: write("new.xlsx", "25"),
+    keyColumns: { Orders: ["id"], Returns: ["id"] },
+    logLevel: "silent",
+  };
+}
+
+test("each sheet is announced, reported on and finished", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator(writeFixtures(dir));
+  const events = [];
+  ["sheetStart", "progress", "sheetDone"].forEach((name) => {
+    comparator.on(name, (event) =>
+      events.push([name, event.sheetName, event.phase || ""])
+    );
+  });
+  const results = await comparator.compareSheets();
+
+  // Reading is reported once per file
+  assert.equal(results, comparator.results);
+  assert.deepEqual(events, [
+    ["sheetStart", "Orders", ""],
+    ["progress", "Orders", "read"],
+    ["progress", "Orders", "read"],
+    ["progress", "Orders", "compare"],
+    ["sheetDone", "Orders", ""],
+    ["sheetStart", "Returns", ""],
+    ["progress", "Returns", "read"],
+    ["progress", "Returns", "read"],
+    ["progress", "Returns", "compare"],
+    ["sheetDone", "Returns", ""],
+  ]);
+});
+
+test("an aborted signal rejects with its reason", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator(writeFixtures(dir));
+  const controller = new AbortController();
+  controller.abort(new Error("Cancelled"));
+  await assert.rejects(
+    comparator.compareSheets({ signal: controller.signal }),
+    /Cancelled/
+  );
+  assert.equal(comparator.results.length, 0);
+});
+
+test("aborting after a sheet stops before the next", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator(writeFixtures(dir));
+  const controller = new AbortController();
+  comparator.on("sheetDone", () => controller.abort(new Error("Cancelled")));
+  await assert.rejects(
+    comparator.compareSheets({ signal: controller.signal }),
+    /Cancelled/
+  );
+  assert.deepEqual(
+    comparator.results.map((result) => result.sheetName),
+    ["Orders"]
+  );
+});
+
+// Two versions of a sheet of 25000 rows, a few of them changed
+function writeLargeFixtures(dir) {
+  const write = (file, change) => {
+    const rows = [["id", "amount"]];
+    for (let i = 0; i < 25000; i++) {
+      rows.push([i, change && i % 1000 === 0 ? i + 1 : i]);
+    }
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.aoa_to_sheet(rows),
+      "Data"
+    );
+    const filePath = path.join(dir, file);
+    XLSX.writeFile(workbook, filePath);
+    return filePath;
+  };
+  return {
+    file1Path: write("old.xlsx", false),
+    file2Path: write("new.xlsx", true),
+    keyColumns: { Data: ["id"] },
+    logLevel: "silent",
+  };
+}
+
+test("progress is reported per chunk with the real totals", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator(writeLargeFixtures(dir));
+  const events = [];
+  comparator.on("progress", (event) => events.push(event));
+  await comparator.compareSheets();
+
+  for (const phase of ["read", "compare"]) {
+    const reported = events.filter((event) => event.phase === phase);
+    assert.ok(reported.length > 1, `${phase} is reported more than once`);
+    reported.forEach((event) => assert.equal(event.totalRows, 50000));
+    assert.ok(reported[0].rowsProcessed < 50000);
+    assert.equal(reported[reported.length - 1].rowsProcessed, 50000);
+  }
+  assert.equal(comparator.results[0].modifiedRecords.length, 25);
+});
+
+test("an aborted signal stops a sheet part way through", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator(writeLargeFixtures(dir));
+  const controller = new AbortController();
+  let compared = 0;
+  comparator.on("progress", (event) => {
+    if (event.phase !== "compare") return;
+    compared = event.rowsProcessed;
+    controller.abort(new Error("Cancelled"));
+  });
+
+  await assert.rejects(
+    comparator.compareSheets({ signal: controller.signal }),
+    /Cancelled/
+  );
+  assert.ok(compared > 0 && compared < 50000);
+  assert.equal(comparator.results.length, 0);
+});
@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const XLSX = require("xlsx");
+const ExcelComparator = require("../excel-comparator");
+
+function writeWorkbook(dir, file, rows) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet(rows),
+    "Stock"
+  );
+  const filePath = path.join(dir, file);
+  XLSX.writeFile(workbook, filePath);
+  return filePath;
+}
+
+test("detail rows point at the worksheet rows of each file", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // A blank row in the old file and a title above the new file's header
+  // move the records away from their position in the list
+  const comparator = new ExcelComparator({
+    file1Path: writeWorkbook(dir, "old.xlsx", [
+      ["id", "fruit", "count"],
+      ["1", "Apple", "5"],
+      ["2", "Pear", "6"],
+      [],
+      ["3", "Plum", "7"],
+    ]),
+    file2Path: writeWorkbook(dir, "new.xlsx", [
+      ["Stock take"],
+      ["id", "fruit", "count"],
+      ["1", "Apple", "5"],
+      ["3", "Plum", "8"],
+      ["4", "Fig", "9"],
+    ]),
+    keyColumns: { Stock: ["id"] },
+    logLevel: "silent",
+  });
+  await comparator.compareSheets();
+
+  const [result] = comparator.results;
+  const rowNumbers = (records, side) =>
+    comparator
+      .formatDetailRecords(records, result, side, dir)
+      .map((row) =>
+        side === "both"
+          ? [row["Old Row Number"].result, row["New Row Number"].result]
+          : row["Row Number"].result
+      );
+  assert.deepEqual(rowNumbers(result.deletedRecords, "file1"), [3]);
+  assert.deepEqual(rowNumbers(result.newRecords, "file2"), [5]);
+  assert.deepEqual(rowNumbers(result.modifiedRecords, "both"), [[5, 4]]);
+
+  // Each number links to its row in the source workbook
+  const [deleted] = comparator.formatDetailRecords(
+    result.deletedRecords,
+    result,
+    "file1",
+    dir
+  );
+  assert.equal(
+    deleted["Row Number"].formula,
+    `HYPERLINK("old.xlsx#'Stock'!A3",3)`
+  );
+});
@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const XLSX = require("xlsx");
+const ExcelComparator = require("../excel-comparator");
+
+// The new file renames qty to quantity, moves price before name and adds a
+// note column, without changing any value
+function writeFixtures(dir) {
+  const write = (file, rows) => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.aoa_to_sheet(rows),
+      "Items"
+    );
+    const filePath = path.join(dir, file);
+    XLSX.writeFile(workbook, filePath);
+    return filePath;
+  };
+  return {
+    file1Path: write("old.xlsx", [
+      ["id", "name", "price", "qty"],
+      [1, "Apple", 3, 10],
+      [2, "Pear", 4, 20],
+      [3, "Plum", 5, 30],
+    ]),
+    file2Path: write("new.xlsx", [
+      ["id", "price", "name", "quantity", "note"],
+      [1, 3, "Apple", 10, "fresh"],
+      [2, 4, "Pear", 20, ""],
+      [3, 5, "Plum", 30, ""],
+    ]),
+    keyColumns: { Items: ["id"] },
+    logLevel: "silent",
+  };
+}
+
+test("added, renamed and reordered columns are reported", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator(writeFixtures(dir));
+  await comparator.compareSheets();
+  const { schemaChanges } = comparator.results[0];
+  assert.deepEqual(schemaChanges.added, ["note"]);
+  assert.deepEqual(schemaChanges.removed, []);
+  assert.deepEqual(
+    schemaChanges.renamed.map((r) => [r.oldName, r.newName]),
+    [["qty", "quantity"]]
+  );
+  assert.deepEqual(
+    schemaChanges.reordered.map((r) => [
+      r.column,
+      r.oldPosition,
+      r.newPosition,
+    ]),
+    [["name", 2, 3]]
+  );
+
+  const rows = comparator.formatSchemaChanges();
+  assert.deepEqual(
+    rows.map((row) => [row["Change Type"], row.Column]),
+    [
+      ["Added", "note"],
+      ["Renamed", "quantity"],
+      ["Reordered", "name"],
+    ]
+  );
+});
+
+test("schema-only differences can be left out of modified records", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator(writeFixtures(dir));
+  await comparator.compareSheets();
+
+  // Renamed columns are compared old -> new, so only the added note differs
+  assert.equal(comparator.results[0].modifiedRecords.length, 1);
+  assert.deepEqual(comparator.results[0].columnChanges, { note: 1 });
+
+  const excluding = new ExcelComparator({
+    ...writeFixtures(fs.mkdtempSync(path.join(dir, "excluding-"))),
+    excludeSchemaChanges: true,
+  });
+  await excluding.compareSheets();
+  assert.equal(excluding.results[0].modifiedRecords.length, 0);
+});
@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const XLSX = require("xlsx");
+const ExcelComparator = require("../excel-comparator");
+
+// Writes a workbook with a sheet of [id, amount] rows per entry of sheets
+function writeWorkbook(filePath, sheets) {
+  const workbook = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([name, rows]) => {
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.aoa_to_sheet([["id", "amount"], ...rows]),
+      name
+    );
+  });
+  XLSX.writeFile(workbook, filePath);
+  return filePath;
+}
+
+const pairsOf = (comparator) =>
+  comparator.results.map((result) => [
+    result.sheetName,
+    result.sheetNameFile2,
+    result.modifiedRecords.length,
+  ]);
+
+test("glob mappings pair sheets through their wildcards", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator({
+    file1Path: writeWorkbook(path.join(dir, "old.xlsx"), {
+      "Q1 2023": [["1", "10"]],
+      "Q2 2023": [["1", "20"]],
+    }),
+    file2Path: writeWorkbook(path.join(dir, "new.xlsx"), {
+      "Q2 2024": [["1", "25"]],
+      "Q1 2024": [["1", "10"]],
+    }),
+    sheetMappings: [{ old: "Q? 2023", new: "Q? 2024" }],
+    keyColumns: { "Q1 2023": ["id"], "Q2 2023": ["id"] },
+    logLevel: "silent",
+  });
+  await comparator.compareSheets();
+
+  assert.deepEqual(pairsOf(comparator), [
+    ["Q1 2023", "Q1 2024", 0],
+    ["Q2 2023", "Q2 2024", 1],
+  ]);
+});
+
+test("regex mappings expand capture groups", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator({
+    file1Path: writeWorkbook(path.join(dir, "old.xlsx"), {
+      "Budget draft": [["1", "10"]],
+    }),
+    file2Path: writeWorkbook(path.join(dir, "new.xlsx"), {
+      "Budget final": [["1", "12"]],
+    }),
+    sheetMappings: [{ old: "/^(\\w+) draft$/i", new: "$1 final" }],
+    logLevel: "silent",
+  });
+  await comparator.compareSheets();
+
+  assert.deepEqual(pairsOf(comparator), [["Budget draft", "Budget final", 1]]);
+  assert.deepEqual(comparator.buildJsonReport().tabs.mapped, [
+    { oldName: "Budget draft", newName: "Budget final" },
+  ]);
+});
+
+test("two sheets of the same workbook can be compared", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const filePath = writeWorkbook(path.join(dir, "book.xlsx"), {
+    Before: [
+      ["1", "10"],
+      ["2", "20"],
+    ],
+    After: [
+      ["1", "10"],
+      ["3", "30"],
+    ],
+  });
+  const comparator = new ExcelComparator({
+    file1Path: filePath,
+    file2Path: filePath,
+    sheetMappings: [{ old: "Before", new: "After" }],
+    keyColumns: { Before: ["id"] },
+    logLevel: "silent",
+  });
+  await comparator.compareSheets();
+
+  // Neither tab is compared with itself
+  assert.deepEqual(pairsOf(comparator), [["Before", "After", 0]]);
+  const [result] = comparator.results;
+  assert.equal(result.newRecords.length, 1);
+  assert.equal(result.deletedRecords.length, 1);
+});
+
+test("a mapping must name both sheets", () => {
+  assert.throws(
+    () =>
+      new ExcelComparator({
+        file1Path: "old.xlsx",
+        file2Path: "new.xlsx",
+        sheetMappings: [{ old: "Q1" }],
+      }),
+    /Invalid sheet mapping/
+  );
+});
@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ExcelJS = require("exceljs");
+const XLSX = require("xlsx");
+const ExcelComparator = require("../excel-comparator");
+
+function writeWorkbook(dir, file, rows) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet([["id", "fruit", "count"], ...rows]),
+    "Stock"
+  );
+  const filePath = path.join(dir, file);
+  XLSX.writeFile(workbook, filePath);
+  return filePath;
+}
+
+// Writes the report in the given layout and reads back its Modified tab
+async function modifiedSheet(dir, modifiedLayout) {
+  const comparator = new ExcelComparator({
+    file1Path: writeWorkbook(dir, "old.xlsx", [
+      ["1", "Apple", "5"],
+      ["2", "Plum", "7"],
+    ]),
+    file2Path: writeWorkbook(dir, "new.xlsx", [
+      ["1", "Apple", "5"],
+      ["2", "Plum", "8"],
+    ]),
+    keyColumns: { Stock: ["id"] },
+    modifiedLayout,
+    logLevel: "silent",
+  });
+  await comparator.compareSheets();
+  const reportPath = path.join(dir, `${modifiedLayout}.xlsx`);
+  await comparator.generateReport(reportPath);
+
+  const report = new ExcelJS.Workbook();
+  await report.xlsx.readFile(reportPath);
+  return report.getWorksheet("Modified - Stock");
+}
+
+const noteText = (note) =>
+  typeof note === "string" ? note : note.texts.map((t) => t.text).join("");
+
+test("the columns layout puts old and new values side by side", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const sheet = await modifiedSheet(dir, "columns");
+  assert.deepEqual(sheet.getRow(1).values.slice(1), [
+    "Old Row Number",
+    "New Row Number",
+    "id",
+    "fruit (Old Version)",
+    "fruit (New Version)",
+    "count (Old Version)",
+    "count (New Version)",
+  ]);
+  const row = sheet.getRow(2);
+  assert.deepEqual(row.values.slice(3), ["2", "plum", "plum", "7", "8"]);
+
+  // Only the changed pair is highlighted, with the old value as a note
+  assert.equal(row.getCell(4).fill, undefined);
+  assert.equal(row.getCell(6).fill.fgColor.argb, "FFFFEB9C");
+  assert.equal(row.getCell(7).fill.fgColor.argb, "FFFFEB9C");
+  assert.equal(noteText(row.getCell(7).note), "Old Version: 7");
+});
+
+test("the rows layout shows one row per version", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const sheet = await modifiedSheet(dir, "rows");
+  assert.deepEqual(sheet.getRow(1).values.slice(3), [
+    "id",
+    "Version",
+    "fruit",
+    "count",
+  ]);
+  assert.deepEqual(sheet.getRow(2).values.slice(3), [
+    "2",
+    "Old Version",
+    "plum",
+    "7",
+  ]);
+  const newRow = sheet.getRow(3);
+  assert.deepEqual(newRow.values.slice(3), ["2", "New Version", "plum", "8"]);
+  assert.equal(newRow.getCell(6).fill.fgColor.argb, "FFFFEB9C");
+  assert.equal(noteText(newRow.getCell(6).note), "Old Version: 7");
+});
+
+test("the details layout keeps a single Modified tab", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  assert.equal(await modifiedSheet(dir, "details"), undefined);
+});
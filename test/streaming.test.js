@@ -0,0 +1,155 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ExcelJS = require("exceljs");
+const ExcelComparator = require("../excel-comparator");
+
+const ROOT = path.join(__dirname, "..");
+
+// Two versions of a sheet of 12000 rows: every 1000th row changed, the
+// first two deleted and two added at the end
+async function writeFixtures(dir) {
+  const write = async (file, rows) => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet("Data").addRows([["id", "amount"], ...rows]);
+    const filePath = path.join(dir, file);
+    await workbook.xlsx.writeFile(filePath);
+    return filePath;
+  };
+  const rows = [];
+  for (let i = 0; i < 12000; i++) rows.push([`${i}`, `${i}`]);
+  return {
+    file1Path: await write("old.xlsx", rows),
+    file2Path: await write("new.xlsx", [
+      ...rows
+        .slice(2)
+        .map(([id, amount]) => [id, Number(id) % 1000 === 0 ? "x" : amount]),
+      ["12000", "12000"],
+      ["12001", "12001"],
+    ]),
+    keyColumns: { Data: ["id"] },
+    logLevel: "silent",
+  };
+}
+
+// Counts and sorted keys, as spilled partitions come back in hash order
+function summarize([result]) {
+  const ids = (records) =>
+    records.map((record) => Number(record.id)).sort((a, b) => a - b);
+  return {
+    rowCounts: [result.rowCountFile1, result.rowCountFile2],
+    newIds: ids(result.newRecords),
+    deletedIds: ids(result.deletedRecords),
+    modifiedIds: ids(result.modifiedRecords),
+  };
+}
+
+test("rows spilled to disk compare as they do in memory", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const config = await writeFixtures(dir);
+
+  const inMemory = new ExcelComparator(config);
+  await inMemory.compareSheets();
+  assert.deepEqual(summarize(inMemory.results), {
+    rowCounts: [12000, 12000],
+    newIds: [12000, 12001],
+    deletedIds: [0, 1],
+    modifiedIds: [
+      1000, 2000, 3000, 4000, 5000, 6000, 7000, 8000, 9000, 10000, 11000,
+    ],
+  });
+
+  // Any heap is above a 1 MB threshold, so the rows go to disk
+  const spillDirectory = fs.mkdtempSync(path.join(dir, "spill-"));
+  const streamed = new ExcelComparator({
+    ...config,
+    memoryThreshold: 1,
+    spillPartitions: 4,
+    spillDirectory,
+  });
+  const messages = [];
+  streamed.log = (message) => messages.push(message);
+  await streamed.compareSheetsStreaming();
+
+  assert.ok(messages.some((message) => /spilling rows to/.test(message)));
+  assert.deepEqual(summarize(streamed.results), summarize(inMemory.results));
+  assert.deepEqual(fs.readdirSync(spillDirectory), []);
+});
+
+test("streaming needs .xlsx inputs", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const csvPath = path.join(dir, "new.csv");
+  fs.writeFileSync(csvPath, "id,amount\n1,1\n");
+  const comparator = new ExcelComparator({
+    ...(await writeFixtures(dir)),
+    file2Path: csvPath,
+  });
+  await assert.rejects(
+    comparator.compareSheetsStreaming(),
+    /Streaming comparison needs \.xlsx files, got new\.csv/
+  );
+});
+
+// The JSON report of a comparison, without its timestamp
+async function compare(config) {
+  const comparator = new ExcelComparator({ logLevel: "silent", ...config });
+  await comparator.compareSheets();
+  const report = comparator.buildJsonReport();
+  delete report.generatedAt;
+  return report;
+}
+
+test("streaming reads SampleData as the in-memory read does", async () => {
+  const config = {
+    file1Path: path.join(ROOT, "SampleData.xlsx"),
+    file2Path: path.join(ROOT, "SampleData1.xlsx"),
+  };
+  const inMemory = await compare(config);
+  const streamed = await compare({ ...config, streaming: true });
+  assert.deepEqual(streamed, inMemory);
+});
+
+test("streamed cells are formatted text and merged headers spread", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const write = async (file, rows) => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet("Plan");
+    sheet.addRow(["id", "Q1", "", "when", "ok"]);
+    sheet.addRow(["", "plan", "actual", "", ""]);
+    sheet.mergeCells("A1:A2");
+    sheet.mergeCells("B1:C1");
+    rows.forEach((row) => sheet.addRow(row));
+    sheet.getColumn(2).numFmt = "0%";
+    sheet.getColumn(3).numFmt = "#,##0.00";
+    sheet.getColumn(4).numFmt = "mm-dd-yy";
+    const filePath = path.join(dir, file);
+    await workbook.xlsx.writeFile(filePath);
+    return filePath;
+  };
+  const config = {
+    file1Path: await write("old.xlsx", [
+      [1, 0.25, 1234.5, new Date(Date.UTC(2024, 0, 5)), true],
+    ]),
+    file2Path: await write("new.xlsx", []),
+    headerRows: { Plan: { headerRow: 0, headerRowCount: 2 } },
+    keyColumns: { Plan: ["id"] },
+  };
+
+  const inMemory = await compare(config);
+  const streamed = await compare({ ...config, streaming: true });
+  assert.deepEqual(streamed, inMemory);
+  assert.deepEqual(streamed.sheets[0].deletedRecords[0].values, {
+    id: "1",
+    q1_plan: "25%",
+    q1_actual: "1,234.50",
+    when: "1/5/24",
+    ok: "true",
+  });
+});
@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const XLSX = require("xlsx");
+const ExcelComparator = require("../excel-comparator");
+
+function writeWorkbook(dir, file, rows) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet(rows),
+    "Readings"
+  );
+  const filePath = path.join(dir, file);
+  XLSX.writeFile(workbook, filePath);
+  return filePath;
+}
+
+const HEADER = ["id", "amount", "price", "taken_at", "day"];
+
+test("differences within the comparison rules are tolerated", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator({
+    file1Path: writeWorkbook(dir, "old.xlsx", [
+      HEADER,
+      ["1", "10", "100", "2024-01-05 10:00:00", "2024-01-05 01:30"],
+      ["2", "10", "100", "2024-01-05 10:00:00", "2024-01-05 01:30"],
+    ]),
+    file2Path: writeWorkbook(dir, "new.xlsx", [
+      HEADER,
+      // Within every rule: one cent, half a percent, the same minute, and
+      // the same day at +02:00 though not in UTC
+      ["1", "10.01", "100.5", "2024-01-05 10:00:40", "2024-01-04T23:50:00Z"],
+      // Outside the amount tolerance and the minute
+      ["2", "10.5", "100", "2024-01-05 10:01:00", "2024-01-05 01:30"],
+    ]),
+    keyColumns: { Readings: ["id"] },
+    comparisonRules: {
+      Readings: {
+        amount: { absoluteTolerance: 0.01 },
+        price: { relativeTolerance: 0.01 },
+        taken_at: { dateGranularity: "minute" },
+        day: { dateGranularity: "day", timezone: "+02:00" },
+      },
+    },
+    logLevel: "silent",
+  });
+  await comparator.compareSheets();
+
+  const [result] = comparator.results;
+  assert.equal(result.modifiedRecords.length, 1);
+  assert.deepEqual(result.columnChanges, { amount: 1, taken_at: 1 });
+  assert.equal(result.toleratedDifferences, 4);
+  assert.equal(
+    result.comparisonRules,
+    "amount: ±0.01; price: ±1%; taken_at: same minute (UTC); day: same day (+02:00)"
+  );
+});
+
+test("rules for every sheet apply under the sheet's own", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator({
+    file1Path: writeWorkbook(dir, "old.xlsx", [
+      ["id", "amount", "price"],
+      ["1", "1.234", "5.001"],
+    ]),
+    file2Path: writeWorkbook(dir, "new.xlsx", [
+      ["id", "amount", "price"],
+      ["1", "1.231", "5.004"],
+    ]),
+    keyColumns: { Readings: ["id"] },
+    comparisonRules: {
+      "*": { "*": { decimals: 2 } },
+      Readings: { price: { decimals: 3 } },
+    },
+    logLevel: "silent",
+  });
+  await comparator.compareSheets();
+
+  assert.deepEqual(comparator.results[0].columnChanges, { price: 1 });
+});
+
+test("key columns are matched within their comparison rules", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator({
+    file1Path: writeWorkbook(dir, "old.xlsx", [
+      ["reading", "value"],
+      ["1.5", "a"],
+      ["2.5", "b"],
+    ]),
+    file2Path: writeWorkbook(dir, "new.xlsx", [
+      ["reading", "value"],
+      ["1.5004", "a"],
+      ["2.6", "c"],
+    ]),
+    keyColumns: { Readings: ["reading"] },
+    comparisonRules: { Readings: { reading: { absoluteTolerance: 0.001 } } },
+    logLevel: "silent",
+  });
+  await comparator.compareSheets();
+
+  // 1.5 pairs with 1.5004, 2.5 and 2.6 are too far apart
+  const [result] = comparator.results;
+  assert.equal(result.modifiedRecords.length, 0);
+  assert.deepEqual(
+    result.deletedRecords.map((record) => record.reading),
+    ["2.5"]
+  );
+  assert.deepEqual(
+    result.newRecords.map((record) => record.reading),
+    ["2.6"]
+  );
+});
@@ -0,0 +1,146 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ExcelJS = require("exceljs");
+const XLSX = require("xlsx");
+const ExcelComparator = require("../excel-comparator");
+
+// rows are [id, amount, number format of amount]
+function writeWorkbook(dir, file, rows) {
+  const worksheet = XLSX.utils.aoa_to_sheet([
+    ["id", "amount"],
+    ...rows.map(([id, amount]) => [id, amount]),
+  ]);
+  rows.forEach(([, , format], i) => {
+    if (format)
+      worksheet[XLSX.utils.encode_cell({ r: i + 1, c: 1 })].z = format;
+  });
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, "Prices");
+  const filePath = path.join(dir, file);
+  XLSX.writeFile(workbook, filePath);
+  return filePath;
+}
+
+// The first two amounts only change format, the third turns text into a
+// number and the fourth is a different error
+async function compare(dir, config = {}) {
+  const file1Path = writeWorkbook(dir, "old.xlsx", [
+    ["1", 1234.5, "#,##0.00"],
+    ["2", 0.12, "0%"],
+    ["3", "007"],
+    ["4", 0],
+  ]);
+  const file2Path = writeWorkbook(dir, "new.xlsx", [
+    ["1", 1234.5, "0.00"],
+    ["2", 0.12, "0.0%"],
+    ["3", 7],
+    ["4", 0],
+  ]);
+  [
+    [file1Path, 0x07],
+    [file2Path, 0x2a],
+  ].forEach(([filePath, code]) => {
+    const workbook = XLSX.readFile(filePath, { cellNF: true });
+    workbook.Sheets.Prices.B5 = { t: "e", v: code };
+    XLSX.writeFile(workbook, filePath);
+  });
+  const comparator = new ExcelComparator({
+    file1Path,
+    file2Path,
+    keyColumns: { Prices: ["id"] },
+    logLevel: "silent",
+    ...config,
+  });
+  await comparator.compareSheets();
+  return comparator;
+}
+
+const modifiedIds = (comparator) =>
+  comparator
+    .buildJsonReport()
+    .sheets[0].modifiedRecords.map((record) => [
+      record.key.id,
+      record.changes.map((change) => [change.oldValue, change.newValue]),
+    ]);
+
+test("formatted text compares display strings", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = await compare(dir);
+  assert.deepEqual(modifiedIds(comparator), [
+    ["1", [["1,234.50", "1234.5"]]],
+    ["2", [["12%", "12.0%"]]],
+  ]);
+});
+
+test("typed values compare numbers, text and errors by type", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = await compare(dir, { typedValues: true });
+  assert.deepEqual(modifiedIds(comparator), [
+    ["3", [["007", "7"]]],
+    ["4", [["#DIV/0!", "#N/A"]]],
+  ]);
+});
+
+test("number format changes are reported on their own", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = await compare(dir, { numberFormatChanges: true });
+  assert.equal(comparator.typedValues, true);
+  assert.deepEqual(comparator.buildJsonReport().sheets[0].numberFormatChanges, [
+    {
+      column: "amount",
+      value: "1234.5",
+      oldFormat: "#,##0.00",
+      newFormat: "0.00",
+      oldRowNumber: 2,
+      newRowNumber: 2,
+    },
+    {
+      column: "amount",
+      value: "0.12",
+      oldFormat: "0%",
+      newFormat: "0.0%",
+      oldRowNumber: 3,
+      newRowNumber: 3,
+    },
+  ]);
+
+  const reportPath = path.join(dir, "report.xlsx");
+  await comparator.generateReport(reportPath);
+  const report = new ExcelJS.Workbook();
+  await report.xlsx.readFile(reportPath);
+  const sheet = report.getWorksheet("Number Format Changes");
+  assert.equal(sheet.rowCount, 3);
+  assert.deepEqual(sheet.getRow(2).values.slice(4), [
+    "amount",
+    "1234.5",
+    "#,##0.00",
+    "0.00",
+  ]);
+});
+
+test("a number format change alone is a difference", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator({
+    file1Path: writeWorkbook(dir, "old.xlsx", [["1", 0.5, "0%"]]),
+    file2Path: writeWorkbook(dir, "new.xlsx", [["1", 0.5, "0.00"]]),
+    keyColumns: { Prices: ["id"] },
+    numberFormatChanges: true,
+    logLevel: "silent",
+  });
+  await comparator.compareSheets();
+
+  assert.equal(comparator.results[0].modifiedRecords.length, 0);
+  assert.equal(comparator.results[0].numberFormatChanges.length, 1);
+  assert.equal(comparator.hasDifferences(), true);
+});
@@ -0,0 +1,173 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ExcelJS = require("exceljs");
+const XLSX = require("xlsx");
+const ExcelComparator = require("../excel-comparator");
+
+// Weekly copies of orders.xlsx, each in a folder of its own: order 1 is
+// changed and order 3 added in week2, order 2 removed in week3 and order 4
+// never changes
+const VERSIONS = {
+  week1: [
+    [1, 10],
+    [2, 20],
+    [4, 40],
+  ],
+  week2: [
+    [1, 11],
+    [2, 20],
+    [3, 30],
+    [4, 40],
+  ],
+  week3: [
+    [1, 11],
+    [3, 30],
+    [4, 40],
+  ],
+};
+
+function writeVersions(dir) {
+  return Object.entries(VERSIONS).map(([folder, rows]) => {
+    fs.mkdirSync(path.join(dir, folder));
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.aoa_to_sheet([["id", "amount"], ...rows]),
+      "Orders"
+    );
+    const filePath = path.join(dir, folder, "orders.xlsx");
+    XLSX.writeFile(workbook, filePath);
+    return filePath;
+  });
+}
+
+test("the history follows each key across the versions", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator({
+    files: writeVersions(dir),
+    keyColumns: { Orders: ["id"] },
+    logLevel: "silent",
+  });
+  const history = await comparator.compareVersions();
+
+  // Files sharing a name are told apart by their folder
+  assert.deepEqual(
+    history.versions.map((version) => version.label),
+    ["week1", "week2", "week3"].map((folder) =>
+      path.join(folder, "orders.xlsx")
+    )
+  );
+  assert.deepEqual(
+    history.steps.map((step) => [step.from, step.to]),
+    [
+      [0, 1],
+      [1, 2],
+    ]
+  );
+
+  const [orders] = history.sheets;
+  assert.deepEqual(
+    orders.records.map((record) => ({
+      key: record.key,
+      firstSeen: record.firstSeen,
+      removedIn: record.removedIn,
+      events: record.events.map((event) => [
+        event.version,
+        event.type,
+        event.changes,
+      ]),
+    })),
+    [
+      {
+        key: "1",
+        firstSeen: 0,
+        removedIn: null,
+        events: [
+          [
+            1,
+            "Modified",
+            [{ column: "amount", oldValue: "10", newValue: "11" }],
+          ],
+        ],
+      },
+      {
+        key: "2",
+        firstSeen: 0,
+        removedIn: 2,
+        events: [[2, "Removed", []]],
+      },
+      { key: "4", firstSeen: 0, removedIn: null, events: [] },
+      { key: "3", firstSeen: 1, removedIn: null, events: [[1, "Added", []]] },
+    ]
+  );
+});
+
+test("streamed versions list the keys that never change", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // The streaming reader is given files written by ExcelJS
+  const files = [];
+  for (const [week, rows] of Object.entries(VERSIONS)) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet("Orders").addRows([["id", "amount"], ...rows]);
+    const filePath = path.join(dir, `${week}.xlsx`);
+    await workbook.xlsx.writeFile(filePath);
+    files.push(filePath);
+  }
+  const comparator = new ExcelComparator({
+    files,
+    keyColumns: { Orders: ["id"] },
+    streaming: true,
+    logLevel: "silent",
+  });
+  const history = await comparator.compareVersions();
+
+  assert.deepEqual(
+    history.sheets[0].records.map((record) => [
+      record.key,
+      record.firstSeen,
+      record.events.length,
+    ]),
+    [
+      ["1", 0, 1],
+      ["2", 0, 1],
+      ["4", 0, 0],
+      ["3", 1, 1],
+    ]
+  );
+});
+
+test("the history report names versions by their labels", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-compare-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const comparator = new ExcelComparator({
+    files: writeVersions(dir).map((filePath, i) => ({
+      path: filePath,
+      label: `Week ${i + 1}`,
+    })),
+    keyColumns: { Orders: ["id"] },
+    logLevel: "silent",
+  });
+  await comparator.compareVersions();
+  const reportPath = path.join(dir, "history.xlsx");
+  await comparator.generateHistoryReport(reportPath);
+
+  const report = new ExcelJS.Workbook();
+  await report.xlsx.readFile(reportPath);
+  const rows = [];
+  report.getWorksheet("Change History").eachRow((row, rowNumber) => {
+    if (rowNumber > 1) rows.push(row.values.slice(2, 7));
+  });
+  assert.deepEqual(rows, [
+    ["1", "Week 1", "", "Week 2", "Modified"],
+    ["2", "Week 1", "Week 3", "Week 3", "Removed"],
+    ["3", "Week 2", "", "Week 2", "Added"],
+  ]);
+});